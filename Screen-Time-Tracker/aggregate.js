@@ -0,0 +1,183 @@
+// Tracking data aggregation shared by the popup and full-page dashboard
+// Ranges are inclusive YYYY-MM-DD keys as produced by getDateKey. Stored
+// hostnames are normalized with normalizeDomain, so settings.groupSubdomains
+// decides whether subdomains are rolled up to their registrable domain.
+
+// Get the date keys for a named range ("today", "week", "month", "quarter")
+function getRangeDates(range, dayStartHour = 0) {
+  const today = getDateKey(Date.now(), dayStartHour);
+
+  let startDate = today;
+  if (range === "week") {
+    startDate = shiftDateKey(today, -7);
+  } else if (range === "month") {
+    startDate = shiftDateKey(today, -30);
+  } else if (range === "quarter") {
+    startDate = shiftDateKey(today, -90);
+  }
+
+  return { startDate, endDate: today };
+}
+
+// Get the range of the same length that ends the day before startDate
+function getPreviousRange(startDate, endDate) {
+  const length =
+    Math.round((parseDateKey(endDate) - parseDateKey(startDate)) / 86400000) +
+    1;
+
+  return {
+    startDate: shiftDateKey(startDate, -length),
+    endDate: shiftDateKey(startDate, -1),
+  };
+}
+
+// Process data for an inclusive range of date keys
+function processData(activityData, dailyData, startDate, endDate, settings) {
+  // Filter and aggregate data
+  const domainStats = {};
+  let totalTime = 0;
+  let totalVisits = 0;
+
+  // Sum time per domain from dailyData for the date range
+  for (const dateKey in dailyData) {
+    if (dateKey >= startDate && dateKey <= endDate) {
+      const dayData = dailyData[dateKey];
+
+      for (const hostname in dayData.domains) {
+        const domain = normalizeDomain(hostname, settings.groupSubdomains);
+        const timeForDay = dayData.domains[hostname];
+
+        if (!domainStats[domain]) {
+          domainStats[domain] = {
+            time: 0,
+            visits: 0,
+            lastVisit: 0,
+            category: getCategory(domain, settings.categoryOverrides),
+            details: {},
+          };
+        }
+
+        domainStats[domain].time += timeForDay;
+        domainStats[domain].lastVisit = Math.max(
+          domainStats[domain].lastVisit,
+          activityData[hostname]?.lastVisit || Date.now()
+        );
+        totalTime += timeForDay;
+
+        // Path prefix or page title time, for domains with a detail rule
+        const dayDetails = dayData.details?.[hostname] || {};
+        for (const detail in dayDetails) {
+          domainStats[domain].details[detail] =
+            (domainStats[domain].details[detail] || 0) + dayDetails[detail];
+        }
+      }
+    }
+  }
+
+  // Count visits recorded per day for the date range
+  for (const dateKey in dailyData) {
+    if (dateKey >= startDate && dateKey <= endDate) {
+      const dayVisits = dailyData[dateKey].visits || {};
+
+      for (const hostname in dayVisits) {
+        const domain = normalizeDomain(hostname, settings.groupSubdomains);
+        if (domainStats[domain]) {
+          domainStats[domain].visits += dayVisits[hostname];
+          totalVisits += dayVisits[hostname];
+        }
+      }
+    }
+  }
+
+  // Time per clock hour, and per weekday x hour, for the date range
+  const hourly = new Array(24).fill(0);
+  const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+
+  for (const dateKey in dailyData) {
+    if (dateKey >= startDate && dateKey <= endDate) {
+      const hours = dailyData[dateKey].hours || {};
+      // getDay() is 0 for Sunday; the heatmap starts on Monday
+      const weekday = (parseDateKey(dateKey).getDay() + 6) % 7;
+
+      for (const hour in hours) {
+        hourly[hour] += hours[hour];
+        heatmap[weekday][hour] += hours[hour];
+      }
+    }
+  }
+
+  // Total time per category across every domain in range
+  const categoryStats = {};
+  for (const domain in domainStats) {
+    const { category, time } = domainStats[domain];
+    categoryStats[category] = (categoryStats[category] || 0) + time;
+  }
+
+  // Sort domains by time
+  const sortedDomains = Object.entries(domainStats).sort(
+    (a, b) => b[1].time - a[1].time
+  );
+
+  return {
+    totalTime,
+    totalVisits,
+    uniqueSites: sortedDomains.length,
+    sites: sortedDomains,
+    categories: Object.entries(categoryStats).sort((a, b) => b[1] - a[1]),
+    days: getDailyTotals(dailyData, startDate, endDate),
+    hourly,
+    heatmap,
+  };
+}
+
+// List every day in a range with its total time, including empty days
+function getDailyTotals(dailyData, startDate, endDate) {
+  const days = [];
+
+  for (
+    let dateKey = startDate;
+    dateKey <= endDate;
+    dateKey = shiftDateKey(dateKey, 1)
+  ) {
+    days.push({ dateKey, totalTime: dailyData[dateKey]?.totalTime || 0 });
+  }
+  return days;
+}
+
+// Stored hostnames that normalize to a domain
+function getMatchingHosts(activityData, domain, settings) {
+  return Object.keys(activityData).filter(
+    (hostname) => normalizeDomain(hostname, settings.groupSubdomains) === domain
+  );
+}
+
+// List every day in a range with one domain's time from dailyData
+function getDomainHistory(dailyData, domain, startDate, endDate, settings) {
+  return getDailyTotals({}, startDate, endDate).map((day) => {
+    const domains = dailyData[day.dateKey]?.domains || {};
+    let totalTime = 0;
+
+    for (const hostname in domains) {
+      if (normalizeDomain(hostname, settings.groupSubdomains) === domain) {
+        totalTime += domains[hostname];
+      }
+    }
+    return { dateKey: day.dateKey, totalTime };
+  });
+}
+
+// All-time total and last visit for one domain
+function getDomainAllTime(activityData, domain, settings) {
+  const hosts = getMatchingHosts(activityData, domain, settings);
+
+  return {
+    totalTime: hosts.reduce(
+      (sum, hostname) => sum + activityData[hostname].totalTime,
+      0
+    ),
+    lastVisit: Math.max(
+      0,
+      ...hosts.map((hostname) => activityData[hostname].lastVisit)
+    ),
+  };
+}
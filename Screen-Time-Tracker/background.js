@@ -1,55 +1,219 @@
 // Background Service Worker for Screen Time Tracker
 // This tracks active tab usage and stores data locally
 
+importScripts(
+  "settings.js",
+  "dates.js",
+  "categories.js",
+  "exclusions.js",
+  "public-suffixes.js",
+  "domains.js",
+  "format.js",
+  "aggregate.js",
+  "store.js",
+  "limits.js",
+  "details.js",
+  "focus.js",
+  "badge.js",
+  "digest.js",
+  "sync.js"
+);
+
+// How often the "saveActivity" alarm flushes the running session
+const SAVE_INTERVAL_MINUTES = 1;
+// How often the "cleanupData" alarm applies the retention setting
+const CLEANUP_INTERVAL_MINUTES = 24 * 60;
+// How often the "syncTotals" alarm publishes totals, well inside
+// chrome.storage.sync's write quotas
+const SYNC_INTERVAL_MINUTES = 15;
+// A longer gap since the last heartbeat means the worker or machine was
+// asleep, so time past this point is not credited to the session
+const MAX_HEARTBEAT_GAP = 2 * SAVE_INTERVAL_MINUTES * 60 * 1000;
+
+// In-flight session state. Checkpointed to chrome.storage.session because
+// the service worker is suspended after ~30s and loses module globals.
+// currentTabId is the active tab of the last focused window, and is kept
+// while that tab shows an untracked page (currentDomain is then null).
 let currentTabId = null;
+let currentWindowId = null;
 let currentDomain = null;
+// Path prefix or page title for domains with a page detail rule
+let currentDetail = null;
 let sessionStartTime = null;
 let isWindowFocused = true;
+let idleState = "active";
+let lastHeartbeat = null;
+let idleThresholdSeconds = DEFAULT_SETTINGS.idleThresholdSeconds;
+let dayStartHour = DEFAULT_SETTINGS.dayStartHour;
+let exclusionSettings = {
+  exclusionRules: DEFAULT_SETTINGS.exclusionRules,
+  excludePrivateHosts: DEFAULT_SETTINGS.excludePrivateHosts,
+};
+let incognitoPolicy = DEFAULT_SETTINGS.incognitoPolicy;
+let pageDetailRules = DEFAULT_SETTINGS.pageDetailRules;
 
 // Initialize on installation
 chrome.runtime.onInstalled.addListener(() => {
   // Create alarm to save data periodically (every minute)
-  chrome.alarms.create("saveActivity", { periodInMinutes: 1 });
+  chrome.alarms.create("saveActivity", {
+    periodInMinutes: SAVE_INTERVAL_MINUTES,
+  });
+  // First cleanup shortly after install or update, then daily
+  chrome.alarms.create("cleanupData", {
+    delayInMinutes: 1,
+    periodInMinutes: CLEANUP_INTERVAL_MINUTES,
+  });
+  chrome.alarms.create("syncTotals", {
+    periodInMinutes: SYNC_INTERVAL_MINUTES,
+  });
 
   initializeStorage();
+  scheduleDigest();
+});
+
+// Apply settings the worker caches (idle threshold, day start hour,
+// exclusion rules)
+async function applySettings() {
+  const settings = await getSettings();
+  idleThresholdSeconds = Math.max(15, settings.idleThresholdSeconds);
+  dayStartHour = settings.dayStartHour;
+  exclusionSettings = {
+    exclusionRules: settings.exclusionRules,
+    excludePrivateHosts: settings.excludePrivateHosts,
+  };
+  incognitoPolicy = settings.incognitoPolicy;
+  pageDetailRules = settings.pageDetailRules;
+  chrome.idle.setDetectionInterval(idleThresholdSeconds);
+}
+
+// Re-apply settings when the popup changes them
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName === "local" && changes.settings) {
+    await applySettings();
+    await dropExcludedSession();
+    await refreshBadge();
+
+    // A shorter retention period takes effect right away
+    const { oldValue = {}, newValue = {} } = changes.settings;
+    if (oldValue.retentionDays !== newValue.retentionDays) {
+      await cleanupOldData();
+    }
+    if (oldValue.digestMode !== newValue.digestMode) {
+      await scheduleDigest();
+    }
+    if (
+      oldValue.syncEnabled !== newValue.syncEnabled ||
+      oldValue.deviceName !== newValue.deviceName
+    ) {
+      await syncDailyTotals();
+    }
+  }
 });
 
+// Discard the running session if a new rule excludes its domain
+async function dropExcludedSession() {
+  await sessionReady;
+
+  if (currentDomain && isHostExcluded(currentDomain, exclusionSettings)) {
+    await stopTracking({ id: currentTabId, windowId: currentWindowId });
+  }
+}
+
+// Checkpoint in-flight session state
+async function persistSession() {
+  await chrome.storage.session.set({
+    trackingSession: {
+      currentTabId,
+      currentWindowId,
+      currentDomain,
+      currentDetail,
+      sessionStartTime,
+      isWindowFocused,
+      idleState,
+      lastHeartbeat,
+    },
+  });
+}
+
+// Rebuild in-flight session state after the worker was restarted
+// Returns true if a checkpoint was found
+async function restoreSession() {
+  const result = await chrome.storage.session.get("trackingSession");
+  const saved = result.trackingSession;
+
+  if (!saved) {
+    return false;
+  }
+
+  currentTabId = saved.currentTabId;
+  currentWindowId = saved.currentWindowId ?? null;
+  currentDomain = saved.currentDomain;
+  currentDetail = saved.currentDetail || null;
+  sessionStartTime = saved.sessionStartTime;
+  isWindowFocused = saved.isWindowFocused;
+  idleState = saved.idleState;
+  lastHeartbeat = saved.lastHeartbeat;
+  return true;
+}
+
 // Initialize storage with default structure
-async function initializeStorage() {
-  const result = await chrome.storage.local.get(["activityData", "dailyData"]);
+function initializeStorage() {
+  return runExclusive(async () => {
+    const result = await chrome.storage.local.get([
+      "activityData",
+      "dailyData",
+    ]);
+
+    if (!result.activityData) {
+      await chrome.storage.local.set({
+        activityData: {},
+        dailyData: {},
+        lastCleanup: Date.now(),
+      });
+    }
+  });
+}
 
-  if (!result.activityData) {
-    await chrome.storage.local.set({
-      activityData: {},
-      dailyData: {},
-      lastCleanup: Date.now(),
-    });
+// Get the domain to track for a tab, or null if the tab must not be tracked
+// (incognito under the "ignore" policy, or matching an exclusion rule)
+function getTrackableDomain(tab) {
+  if (tab.incognito && incognitoPolicy !== "track") {
+    return null;
+  }
+  if (isUrlExcluded(tab.url, exclusionSettings)) {
+    return null;
   }
+  return getDomainFromUrl(tab.url);
 }
 
 // Extract domain from URL
 function getDomainFromUrl(url) {
+  // Never track the extension's own pages (e.g. the time's up page)
+  if (!url || url.startsWith(chrome.runtime.getURL(""))) {
+    return null;
+  }
+
   try {
     const urlObj = new URL(url);
-    return urlObj.hostname;
+    return stripWww(urlObj.hostname);
   } catch (e) {
     return null;
   }
 }
 
-// Format date for storage keys (YYYY-MM-DD)
-function getDateKey(timestamp = Date.now()) {
-  const date = new Date(timestamp);
-  return date.toISOString().split("T")[0];
-}
-
-// Save current session when switching tabs or losing focus
-async function saveCurrentSession() {
+// Save current session when switching tabs, losing focus or going idle
+// endTime lets idle detection close the session when input actually stopped
+async function saveCurrentSession(endTime = Date.now()) {
   if (!currentDomain || !sessionStartTime || !isWindowFocused) {
     return;
   }
 
-  const sessionDuration = Date.now() - sessionStartTime;
+  // Don't credit time the worker could not have observed
+  if (lastHeartbeat) {
+    endTime = Math.min(endTime, lastHeartbeat + MAX_HEARTBEAT_GAP);
+  }
+
+  const sessionDuration = endTime - sessionStartTime;
   const durationInSeconds = Math.floor(sessionDuration / 1000);
 
   // Ignore very short sessions (less than 1 second)
@@ -57,74 +221,121 @@ async function saveCurrentSession() {
     return;
   }
 
-  const dateKey = getDateKey();
-  const result = await chrome.storage.local.get(["activityData", "dailyData"]);
-
-  let activityData = result.activityData || {};
-  let dailyData = result.dailyData || {};
+  // Snapshot the session now - handlers may start a new one while these
+  // deltas wait in the write queue. A session spanning midnight (or the
+  // configured day start) is credited to each day and hour it covers.
+  const domain = currentDomain;
+  const detail = currentDetail;
+  const deltas = splitByHour(sessionStartTime, endTime, dayStartHour).map(
+    (piece) => ({
+      domain,
+      dateKey: piece.dateKey,
+      hour: piece.hour,
+      seconds: piece.seconds,
+      detail,
+      timestamp: endTime,
+    })
+  );
+
+  await queueActivity(deltas);
+}
 
-  // Initialize domain data if doesn't exist
-  if (!activityData[currentDomain]) {
-    activityData[currentDomain] = {
-      totalTime: 0,
-      visits: 0,
-      lastVisit: Date.now(),
-      dailyBreakdown: {},
-    };
+// Start tracking a new tab
+// isNewVisit marks a real tab activation or navigation to a new domain, as
+// opposed to resuming after idle, focus changes or worker restarts
+async function startTracking(tab, domain, isNewVisit = false) {
+  currentTabId = tab.id;
+  currentWindowId = tab.windowId;
+  currentDomain = domain;
+  currentDetail = getPageDetail(tab, domain, pageDetailRules);
+  sessionStartTime = Date.now();
+  lastHeartbeat = sessionStartTime;
+  await persistSession();
+
+  if (isNewVisit) {
+    await queueActivity([
+      {
+        domain,
+        dateKey: getDateKey(sessionStartTime, dayStartHour),
+        visits: 1,
+        timestamp: sessionStartTime,
+      },
+    ]);
   }
 
-  // Update total time and visits
-  activityData[currentDomain].totalTime += durationInSeconds;
-  activityData[currentDomain].visits += 1;
-  activityData[currentDomain].lastVisit = Date.now();
+  await checkTimeLimits();
+  await refreshBadge();
+}
 
-  // Update daily breakdown for this domain
-  if (!activityData[currentDomain].dailyBreakdown[dateKey]) {
-    activityData[currentDomain].dailyBreakdown[dateKey] = 0;
+// Enforce daily limits for the tracked domain, counting unsaved time
+async function checkTimeLimits() {
+  if (!currentDomain || !currentTabId || !sessionStartTime) {
+    return;
   }
-  activityData[currentDomain].dailyBreakdown[dateKey] += durationInSeconds;
 
-  // Update daily summary
-  if (!dailyData[dateKey]) {
-    dailyData[dateKey] = {
-      totalTime: 0,
-      domains: {},
-    };
-  }
-  dailyData[dateKey].totalTime += durationInSeconds;
+  const inFlightSeconds = Math.floor((Date.now() - sessionStartTime) / 1000);
+  await enforceTimeLimits(
+    currentTabId,
+    currentDomain,
+    inFlightSeconds,
+    getDateKey(Date.now(), dayStartHour)
+  );
+}
 
-  if (!dailyData[dateKey].domains[currentDomain]) {
-    dailyData[dateKey].domains[currentDomain] = 0;
+// Show the focus countdown, or today's time in the chosen badge mode
+async function refreshBadge() {
+  const session = await getFocusSession();
+  if (session) {
+    updateFocusBadge(session);
+    return;
   }
-  dailyData[dateKey].domains[currentDomain] += durationInSeconds;
 
-  // Save to storage
-  await chrome.storage.local.set({ activityData, dailyData });
+  const inFlightSeconds = sessionStartTime
+    ? Math.floor((Date.now() - sessionStartTime) / 1000)
+    : 0;
+  await updateTimeBadge(
+    currentDomain,
+    inFlightSeconds,
+    getDateKey(Date.now(), dayStartHour)
+  );
 }
 
-// Start tracking a new tab
-function startTracking(tabId, domain) {
-  currentTabId = tabId;
-  currentDomain = domain;
-  sessionStartTime = Date.now();
+// Stop tracking (the caller saves the session first)
+// Passing the active tab keeps following it while it shows an untracked
+// page, so navigating it back to a tracked site starts a new session
+async function stopTracking(activeTab = null) {
+  currentTabId = activeTab ? activeTab.id : null;
+  if (activeTab) {
+    currentWindowId = activeTab.windowId;
+  }
+  currentDomain = null;
+  currentDetail = null;
+  sessionStartTime = null;
+  await persistSession();
+  await refreshBadge();
 }
 
 // Handle tab activation (user switches to a different tab)
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
+  await sessionReady;
+
+  // Tabs switching in a window the user isn't in don't change what is viewed
+  if (currentWindowId !== null && activeInfo.windowId !== currentWindowId) {
+    return;
+  }
+
   // Save previous session
   await saveCurrentSession();
 
   // Start new session
   try {
     const tab = await chrome.tabs.get(activeInfo.tabId);
-    const domain = getDomainFromUrl(tab.url);
+    const domain = getTrackableDomain(tab);
 
     if (domain && isWindowFocused) {
-      startTracking(activeInfo.tabId, domain);
+      await startTracking(tab, domain, true);
     } else {
-      currentTabId = null;
-      currentDomain = null;
-      sessionStartTime = null;
+      await stopTracking(tab);
     }
   } catch (error) {
     console.error("Error in onActivated:", error);
@@ -133,32 +344,86 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
 
 // Handle tab updates (URL changes in current tab)
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  await sessionReady;
+
+  // Listed sites are off limits in any tab during a focus phase
+  if (changeInfo.url) {
+    await enforceFocusBlock(tabId, changeInfo.url, await getFocusSession());
+  }
+
+  // Media stopped while the user is away - stop counting now
+  if (
+    changeInfo.audible === false &&
+    tabId === currentTabId &&
+    idleState === "idle"
+  ) {
+    await saveCurrentSession();
+    sessionStartTime = null;
+    await persistSession();
+    return;
+  }
+
+  // Media started on the active tab while the user is away - count it
+  if (
+    changeInfo.audible === true &&
+    tab.active &&
+    idleState === "idle" &&
+    isWindowFocused &&
+    !sessionStartTime
+  ) {
+    const domain = getTrackableDomain(tab);
+    if (domain) {
+      await startTracking(tab, domain);
+    }
+    return;
+  }
+
   if (changeInfo.url && tabId === currentTabId) {
+    const previousDomain = currentDomain;
+
     // Save previous session
     await saveCurrentSession();
 
     // Start new session with new URL
-    const domain = getDomainFromUrl(changeInfo.url);
+    // Navigating within the same site continues the same visit
+    const domain = getTrackableDomain(tab);
     if (domain && isWindowFocused) {
-      startTracking(tabId, domain);
+      await startTracking(tab, domain, domain !== previousDomain);
     } else {
-      currentTabId = null;
-      currentDomain = null;
-      sessionStartTime = null;
+      await stopTracking(tab);
     }
+    return;
+  }
+
+  // A new page title on a title-tracked site starts a new detail
+  if (
+    changeInfo.title &&
+    tabId === currentTabId &&
+    currentDomain &&
+    sessionStartTime &&
+    getPageDetail(tab, currentDomain, pageDetailRules) !== currentDetail
+  ) {
+    await saveCurrentSession();
+    await startTracking(tab, currentDomain);
   }
 });
 
 // Handle window focus changes (user switches to another app)
 chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  await sessionReady;
+
   if (windowId === chrome.windows.WINDOW_ID_NONE) {
     // Window lost focus - user switched to another app
     await saveCurrentSession();
     isWindowFocused = false;
     sessionStartTime = null;
+    await persistSession();
   } else {
-    // Window gained focus - user came back to Chrome
+    // Window gained focus - user came back to Chrome or switched windows
+    // directly, in which case the other window's session ends here
+    await saveCurrentSession();
     isWindowFocused = true;
+    currentWindowId = windowId;
 
     try {
       // Get current active tab in the focused window
@@ -168,9 +433,11 @@ chrome.windows.onFocusChanged.addListener(async (windowId) => {
       });
       if (tabs.length > 0) {
         const tab = tabs[0];
-        const domain = getDomainFromUrl(tab.url);
+        const domain = getTrackableDomain(tab);
         if (domain) {
-          startTracking(tab.id, domain);
+          await startTracking(tab, domain);
+        } else {
+          await stopTracking(tab);
         }
       }
     } catch (error) {
@@ -179,63 +446,322 @@ chrome.windows.onFocusChanged.addListener(async (windowId) => {
   }
 });
 
-// Periodic save via alarm (every minute)
-chrome.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === "saveActivity") {
-    saveCurrentSession();
-    // Restart tracking for current tab (reset start time)
-    if (currentDomain && isWindowFocused) {
-      sessionStartTime = Date.now();
+// End the session when the tracked tab is closed
+// The browser then activates another tab, which onActivated picks up
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await sessionReady;
+
+  if (tabId === currentTabId) {
+    await saveCurrentSession();
+    await stopTracking();
+  }
+});
+
+// Follow the tracked tab when it is swapped for another, e.g. a prerendered
+// page or instant search result taking its place
+chrome.tabs.onReplaced.addListener(async (addedTabId, removedTabId) => {
+  await sessionReady;
+
+  if (removedTabId !== currentTabId) {
+    return;
+  }
+
+  const previousDomain = currentDomain;
+  await saveCurrentSession();
+
+  try {
+    const tab = await chrome.tabs.get(addedTabId);
+    const domain = getTrackableDomain(tab);
+
+    if (domain && isWindowFocused) {
+      await startTracking(tab, domain, domain !== previousDomain);
+    } else {
+      await stopTracking(tab);
     }
+  } catch (error) {
+    console.error("Error in onReplaced:", error);
   }
 });
 
-// Cleanup old data (keep last 90 days)
-async function cleanupOldData() {
-  const result = await chrome.storage.local.get(["dailyData", "lastCleanup"]);
-  const lastCleanup = result.lastCleanup || 0;
+// End the session when the window holding the tracked tab is closed
+chrome.windows.onRemoved.addListener(async (windowId) => {
+  await sessionReady;
+
+  if (windowId === currentWindowId) {
+    await saveCurrentSession();
+    currentWindowId = null;
+    await stopTracking();
+  }
+});
+
+// Best-effort save when the worker is unloaded
+// Async storage writes are not guaranteed to finish during onSuspend, so
+// the "saveActivity" alarm checkpoint is what bounds lost time (at most one
+// save interval); this only narrows the gap when the write gets through.
+chrome.runtime.onSuspend.addListener(() => {
+  checkpointSession();
+});
 
-  // Only cleanup once per day
-  if (Date.now() - lastCleanup < 24 * 60 * 60 * 1000) {
+// Handle idle state changes (user stepped away or locked the screen)
+chrome.idle.onStateChanged.addListener(async (newState) => {
+  await sessionReady;
+  idleState = newState;
+
+  if (newState === "active") {
+    await resumeTracking();
     return;
   }
 
-  const dailyData = result.dailyData || {};
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - 90);
-  const cutoffKey = getDateKey(cutoffDate.getTime());
+  // Keep counting while the tracked tab is playing audio or video
+  if (newState === "idle" && (await isCurrentTabAudible())) {
+    await persistSession();
+    return;
+  }
+
+  // "idle" fires after the threshold has passed, so the user actually
+  // stopped interacting that long ago. "locked" fires immediately.
+  const idleSince =
+    newState === "idle" ? Date.now() - idleThresholdSeconds * 1000 : Date.now();
+
+  if (sessionStartTime) {
+    await saveCurrentSession(Math.max(idleSince, sessionStartTime));
+  }
+  sessionStartTime = null;
+  await persistSession();
+});
+
+// Check whether the tracked tab is currently playing sound
+async function isCurrentTabAudible() {
+  if (!currentTabId) {
+    return false;
+  }
+
+  try {
+    const tab = await chrome.tabs.get(currentTabId);
+    return Boolean(tab.audible);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Resume tracking the active tab when the user comes back
+async function resumeTracking() {
+  if (!isWindowFocused || sessionStartTime) {
+    await persistSession();
+    return;
+  }
 
-  let removedCount = 0;
-  // Remove old entries
-  for (const dateKey in dailyData) {
-    if (dateKey < cutoffKey) {
-      delete dailyData[dateKey];
-      removedCount++;
+  try {
+    const tabs = await chrome.tabs.query({
+      active: true,
+      lastFocusedWindow: true,
+    });
+    if (tabs.length > 0) {
+      const domain = getTrackableDomain(tabs[0]);
+      if (domain) {
+        await startTracking(tabs[0], domain);
+        return;
+      }
+      await stopTracking(tabs[0]);
+      return;
     }
+    await persistSession();
+  } catch (error) {
+    console.error("Error resuming tracking:", error);
+  }
+}
+
+// Save the running session up to now and continue it from this point
+// Each checkpoint is also a heartbeat proving the worker was alive until now
+async function checkpointSession() {
+  const now = Date.now();
+  const saving = saveCurrentSession(now);
+
+  // Restart tracking for current tab from the point just saved
+  if (currentDomain && isWindowFocused && sessionStartTime) {
+    sessionStartTime = now;
+  }
+  lastHeartbeat = now;
+  await Promise.all([saving, persistSession()]);
+}
+
+// Periodic save via alarm (every minute)
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === "saveActivity") {
+    await sessionReady;
+    await checkpointSession();
+
+    // Budgets are checked as time accrues
+    await checkTimeLimits();
+    await refreshBadge();
+  }
+
+  if (alarm.name === "cleanupData") {
+    await cleanupOldData();
+  }
+
+  if (alarm.name === FOCUS_PHASE_ALARM) {
+    await advanceFocusPhase(getDateKey(Date.now(), dayStartHour));
   }
 
-  if (removedCount > 0) {
+  if (alarm.name === FOCUS_BADGE_ALARM) {
+    await refreshBadge();
+  }
+
+  if (alarm.name === DIGEST_ALARM) {
+    await sendDigest();
+  }
+
+  if (alarm.name === "syncTotals") {
+    await syncDailyTotals();
+  }
+});
+
+// Open the dashboard on a digest's range when it is clicked
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const range = getDigestRange(notificationId);
+  if (!range) {
+    return;
+  }
+
+  const params = new URLSearchParams({
+    start: range.startDate,
+    end: range.endDate,
+  });
+  chrome.tabs.create({
+    url: chrome.runtime.getURL(`dashboard.html?${params}`),
+  });
+  chrome.notifications.clear(notificationId);
+});
+
+// Handle requests from the popup and extension pages
+// Data changes are routed here so they share the background write queue
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  handleMessage(message)
+    .then((result) => sendResponse({ success: true, ...result }))
+    .catch((error) => sendResponse({ success: false, error: error.message }));
+  return true;
+});
+
+async function handleMessage(message) {
+  const dateKey = getDateKey(Date.now(), dayStartHour);
+
+  switch (message.type) {
+    case "clearData":
+      await clearAllData();
+      await refreshBadge();
+      return {};
+    case "purgeDomains":
+      await purgeDomains(message.domains);
+      return {};
+    case "clearPageDetails":
+      await clearPageDetails(message.domains);
+      return {};
+    case "importData":
+      await importActivityStores(message.data, message.mode);
+      return {};
+    case "snoozeLimit":
+      await updateLimitState(dateKey, message.limitId, {
+        snoozedUntil: Date.now() + message.minutes * 60 * 1000,
+      });
+      return {};
+    case "overrideLimit":
+      await updateLimitState(dateKey, message.limitId, { overridden: true });
+      return {};
+    case "startFocus":
+      await startFocusSession(
+        message.focusMinutes,
+        message.breakMinutes,
+        message.blockedDomains
+      );
+      return {};
+    case "stopFocus":
+      await stopFocusSession();
+      await refreshBadge();
+      return {};
+    default:
+      throw new Error(`Unknown message type: ${message.type}`);
+  }
+}
+
+// Clear all tracking data and restart the running session from now
+async function clearAllData() {
+  await sessionReady;
+  await clearActivityStores();
+
+  if (sessionStartTime) {
+    sessionStartTime = Date.now();
+    await persistSession();
+  }
+}
+
+// Publish this device's totals when sync is on, or withdraw them when off
+// The last failure is kept in storage as syncError for the popup to show
+async function syncDailyTotals() {
+  const settings = await getSettings();
+
+  try {
+    if (settings.syncEnabled) {
+      const { dailyData = {} } = await chrome.storage.local.get("dailyData");
+      await publishDailyTotals(dailyData, settings);
+    } else {
+      await unpublishDailyTotals();
+    }
+    await chrome.storage.local.remove("syncError");
+  } catch (error) {
+    // Quota errors are retried on the next alarm
+    console.error("Error syncing totals:", error);
     await chrome.storage.local.set({
-      dailyData,
-      lastCleanup: Date.now(),
+      syncError: { message: error.message, time: Date.now() },
     });
   }
 }
 
-// Run cleanup on startup
-cleanupOldData();
+// Remove data older than the retention setting from every store
+async function cleanupOldData() {
+  const settings = await getSettings();
+  const { retentionDays } = settings;
+
+  if (retentionDays > 0) {
+    const today = getDateKey(Date.now(), settings.dayStartHour);
+    await pruneActivityStores(shiftDateKey(today, -retentionDays));
+  }
+
+  // Record the run even when nothing was old enough to remove
+  await chrome.storage.local.set({ lastCleanup: Date.now() });
+}
+
+// Apply cached settings on startup
+const settingsReady = applySettings();
 
 // Initialize tracking on startup
-chrome.tabs
-  .query({ active: true, currentWindow: true })
-  .then((tabs) => {
+// Resume the checkpointed session if the worker was only suspended,
+// otherwise start fresh from the active tab
+const sessionReady = initializeTracking();
+
+async function initializeTracking() {
+  try {
+    await settingsReady;
+
+    if (await restoreSession()) {
+      return;
+    }
+
+    // A service worker has no window of its own, so "current" would be
+    // whichever window happens to be on top rather than the one in use
+    const tabs = await chrome.tabs.query({
+      active: true,
+      lastFocusedWindow: true,
+    });
     if (tabs.length > 0) {
-      const domain = getDomainFromUrl(tabs[0].url);
+      const domain = getTrackableDomain(tabs[0]);
       if (domain) {
-        startTracking(tabs[0].id, domain);
+        await startTracking(tabs[0], domain);
+      } else {
+        await stopTracking(tabs[0]);
       }
     }
-  })
-  .catch((error) => {
+  } catch (error) {
     console.error("Error initializing tracking:", error);
-  });
+  }
+}
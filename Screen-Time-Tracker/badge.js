@@ -0,0 +1,86 @@
+// Toolbar badge showing time spent today
+// Loaded by the background worker after limits.js. settings.badgeMode picks
+// "site" (the tracked site's time), "total" (all sites) or "off". A running
+// focus session takes over the badge with its countdown.
+
+const BADGE_COLORS = {
+  total: "#667eea",
+  overLimit: "#e74c3c",
+  nearLimit: "#f39c12",
+  withinLimit: "#43e97b",
+};
+
+// Show today's time for a domain (or every domain) on the action badge
+// inFlightSeconds is time in the running session not yet saved
+async function updateTimeBadge(domain, inFlightSeconds, dateKey) {
+  const settings = await getSettings();
+
+  if (settings.badgeMode === "off") {
+    chrome.action.setBadgeText({ text: "" });
+    return;
+  }
+  if (settings.badgeMode === "site" && !domain) {
+    chrome.action.setBadgeText({ text: "" });
+    return;
+  }
+
+  // Read after queued writes so saved time is never counted twice or missed
+  const { dailyData = {} } = await runExclusive(() =>
+    chrome.storage.local.get("dailyData")
+  );
+  const dayData = dailyData[dateKey] || { totalTime: 0, domains: {} };
+
+  if (settings.badgeMode === "total") {
+    setTimeBadge(dayData.totalTime + inFlightSeconds, BADGE_COLORS.total);
+    return;
+  }
+
+  const seconds = (dayData.domains[domain] || 0) + inFlightSeconds;
+  setTimeBadge(
+    seconds,
+    getBadgeColor(domain, dayData, inFlightSeconds, settings)
+  );
+}
+
+// Budget status color for a limited domain, otherwise its category color
+function getBadgeColor(domain, dayData, inFlightSeconds, settings) {
+  const limits = getLimitsForDomain(settings.timeLimits, domain);
+  if (limits.length === 0) {
+    return getCategoryColor(getCategory(domain, settings.categoryOverrides));
+  }
+
+  // The limit closest to running out decides the color
+  const share = Math.max(
+    ...limits.map(
+      (limit) =>
+        (getLimitUsage(limit, dayData) + inFlightSeconds) / (limit.minutes * 60)
+    )
+  );
+
+  if (share >= 1) {
+    return BADGE_COLORS.overLimit;
+  }
+  if (share * 100 >= settings.limitWarningPercent) {
+    return BADGE_COLORS.nearLimit;
+  }
+  return BADGE_COLORS.withinLimit;
+}
+
+function setTimeBadge(seconds, color) {
+  chrome.action.setBadgeText({ text: formatBadgeTime(seconds) });
+  chrome.action.setBadgeBackgroundColor({ color });
+}
+
+// Fit a duration into the badge's four characters: "7m", "1h05", "12h"
+function formatBadgeTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (hours === 0) {
+    return `${minutes}m`;
+  }
+  if (hours < 10) {
+    return `${hours}h${String(minutes).padStart(2, "0")}`;
+  }
+  return `${hours}h`;
+}
@@ -0,0 +1,109 @@
+// Time's Up Page Logic
+// Shown in place of a site once its daily limit is reached, or while a
+// focus session blocks it (?focus=1)
+
+const params = new URLSearchParams(location.search);
+const limitId = params.get("limit");
+const isFocusBlock = params.has("focus");
+const blockedDomain = params.get("domain");
+const blockedUrl = params.get("url");
+
+// Initialize page
+document.addEventListener("DOMContentLoaded", async () => {
+  if (isFocusBlock) {
+    await showFocusDetails();
+    setupFocusActions();
+    return;
+  }
+
+  await showLimitDetails();
+  setupActions();
+});
+
+// Describe the focus session that blocks this site
+async function showFocusDetails() {
+  const { focusSession } = await chrome.storage.local.get("focusSession");
+
+  // The session ended or went on a break while this page was closed
+  if (!focusSession || focusSession.phase !== "focus") {
+    returnToSite();
+    return;
+  }
+
+  const endsAt = new Date(focusSession.phaseEndsAt).toLocaleTimeString([], {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+  document.title = "Stay focused";
+  document.getElementById("icon").textContent = "🎯";
+  document.getElementById("title").textContent = "Stay focused";
+  document.getElementById(
+    "message"
+  ).textContent = `${blockedDomain} is blocked during your focus session.`;
+  document.getElementById(
+    "hint"
+  ).textContent = `Your next break starts at ${endsAt}.`;
+  document.getElementById("limitActions").hidden = true;
+  document.getElementById("focusActions").hidden = false;
+}
+
+// Setup the end session button and return once the block lifts
+function setupFocusActions() {
+  document.getElementById("endFocus").addEventListener("click", async () => {
+    if (confirm("End your focus session now?")) {
+      await chrome.runtime.sendMessage({ type: "stopFocus" });
+    }
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    const session = changes.focusSession?.newValue;
+    if (
+      areaName === "local" &&
+      changes.focusSession &&
+      session?.phase !== "focus"
+    ) {
+      returnToSite();
+    }
+  });
+}
+
+// Describe which limit was reached
+async function showLimitDetails() {
+  const settings = await getSettings();
+  const limit = settings.timeLimits.find((l) => l.id === limitId);
+
+  if (limit) {
+    document.getElementById("message").textContent =
+      `You've used your ${limit.minutes} minute daily limit for ` +
+      `${limit.name} on ${blockedDomain}.`;
+  }
+}
+
+// Setup snooze and override buttons
+function setupActions() {
+  document.querySelectorAll("[data-snooze]").forEach((button) => {
+    button.addEventListener("click", async () => {
+      await chrome.runtime.sendMessage({
+        type: "snoozeLimit",
+        limitId,
+        minutes: Number(button.dataset.snooze),
+      });
+      returnToSite();
+    });
+  });
+
+  document.getElementById("override").addEventListener("click", async () => {
+    if (confirm("Ignore this limit for the rest of today?")) {
+      await chrome.runtime.sendMessage({ type: "overrideLimit", limitId });
+      returnToSite();
+    }
+  });
+}
+
+// Go back to the page that was blocked
+function returnToSite() {
+  if (blockedUrl) {
+    location.replace(blockedUrl);
+  }
+}
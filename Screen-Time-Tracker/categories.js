@@ -0,0 +1,116 @@
+// Site categories shared by the popup and background worker
+// A built-in mapping covers popular sites; settings.categoryOverrides maps a
+// hostname or parent domain to a category and always wins over the defaults.
+
+const CATEGORIES = {
+  Social: "#f093fb",
+  Video: "#fa709a",
+  Dev: "#43e97b",
+  News: "#4facfe",
+  Work: "#667eea",
+  Shopping: "#fee140",
+  Reference: "#30cfd0",
+  Other: "#a0a4b8",
+};
+
+const DEFAULT_CATEGORY_DOMAINS = {
+  "facebook.com": "Social",
+  "instagram.com": "Social",
+  "twitter.com": "Social",
+  "x.com": "Social",
+  "linkedin.com": "Social",
+  "reddit.com": "Social",
+  "pinterest.com": "Social",
+  "tiktok.com": "Social",
+  "snapchat.com": "Social",
+  "discord.com": "Social",
+  "whatsapp.com": "Social",
+  "telegram.org": "Social",
+  "youtube.com": "Video",
+  "netflix.com": "Video",
+  "twitch.tv": "Video",
+  "vimeo.com": "Video",
+  "primevideo.com": "Video",
+  "hotstar.com": "Video",
+  "disneyplus.com": "Video",
+  "hulu.com": "Video",
+  "spotify.com": "Video",
+  "github.com": "Dev",
+  "gitlab.com": "Dev",
+  "bitbucket.org": "Dev",
+  "stackoverflow.com": "Dev",
+  "stackexchange.com": "Dev",
+  "developer.mozilla.org": "Dev",
+  "npmjs.com": "Dev",
+  "codepen.io": "Dev",
+  "vercel.com": "Dev",
+  "netlify.com": "Dev",
+  localhost: "Dev",
+  "news.google.com": "News",
+  "news.ycombinator.com": "News",
+  "bbc.com": "News",
+  "bbc.co.uk": "News",
+  "cnn.com": "News",
+  "nytimes.com": "News",
+  "theguardian.com": "News",
+  "reuters.com": "News",
+  "timesofindia.indiatimes.com": "News",
+  "ndtv.com": "News",
+  "medium.com": "News",
+  "mail.google.com": "Work",
+  "docs.google.com": "Work",
+  "drive.google.com": "Work",
+  "calendar.google.com": "Work",
+  "meet.google.com": "Work",
+  "outlook.live.com": "Work",
+  "outlook.office.com": "Work",
+  "slack.com": "Work",
+  "notion.so": "Work",
+  "trello.com": "Work",
+  "atlassian.net": "Work",
+  "asana.com": "Work",
+  "figma.com": "Work",
+  "zoom.us": "Work",
+  "amazon.com": "Shopping",
+  "amazon.in": "Shopping",
+  "flipkart.com": "Shopping",
+  "ebay.com": "Shopping",
+  "etsy.com": "Shopping",
+  "myntra.com": "Shopping",
+  "wikipedia.org": "Reference",
+  "google.com": "Reference",
+  "bing.com": "Reference",
+  "duckduckgo.com": "Reference",
+  "chatgpt.com": "Reference",
+  "claude.ai": "Reference",
+};
+
+// Get the category for a hostname
+// The most specific override wins, then the most specific default
+function getCategory(hostname, overrides = {}) {
+  return (
+    findDomainEntry(hostname, overrides) ||
+    findDomainEntry(hostname, DEFAULT_CATEGORY_DOMAINS) ||
+    "Other"
+  );
+}
+
+// Walk from the full hostname up through its parent domains
+function findDomainEntry(hostname, mapping) {
+  let candidate = hostname;
+
+  while (candidate) {
+    if (mapping[candidate] && CATEGORIES[mapping[candidate]]) {
+      return mapping[candidate];
+    }
+    const dot = candidate.indexOf(".");
+    candidate = dot === -1 ? null : candidate.slice(dot + 1);
+  }
+
+  return null;
+}
+
+// Get the display color for a category
+function getCategoryColor(category) {
+  return CATEGORIES[category] || CATEGORIES.Other;
+}
@@ -0,0 +1,147 @@
+// SVG charts for the popup and full-page dashboard
+// Charts are built as markup strings so they drop into the innerHTML
+// templates used for rendering, with no external libraries.
+
+const WEEKDAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Hour-by-hour bar chart of seconds per clock hour
+// Bars start at dayStartHour so the chart follows the tracking day
+function renderHourlyTimeline(hourly, dayStartHour = 0) {
+  const width = 380;
+  const height = 110;
+  const chartHeight = 90;
+  const barWidth = width / 24;
+  const max = Math.max(...hourly, 1);
+
+  const bars = hourly
+    .map((_, index) => {
+      const hour = (dayStartHour + index) % 24;
+      const seconds = hourly[hour];
+      const barHeight = (seconds / max) * chartHeight;
+      const x = index * barWidth;
+
+      return `
+       <rect x="${x + 1}" y="${chartHeight - barHeight}" width="${
+        barWidth - 2
+      }" height="${barHeight}" rx="2" fill="#667eea">
+         <title>${formatHour(hour)}: ${formatTime(seconds)}</title>
+       </rect>
+       ${
+         index % 6 === 0
+           ? `<text x="${x}" y="${height - 2}" class="chart-label">${formatHour(
+               hour
+             )}</text>`
+           : ""
+       }
+     `;
+    })
+    .join("");
+
+  return `
+   <svg class="chart" viewBox="0 0 ${width} ${height}" role="img"
+     aria-label="Time per hour">
+     <line x1="0" y1="${chartHeight}" x2="${width}" y2="${chartHeight}"
+       stroke="#e9ecef" />
+     ${bars}
+   </svg>
+ `;
+}
+
+// Day-of-week x hour heatmap of seconds
+// heatmap[weekday][hour], weekday 0 = Monday
+function renderWeeklyHeatmap(heatmap) {
+  const labelWidth = 30;
+  const cellSize = 14;
+  const gap = 1;
+  const width = labelWidth + 24 * (cellSize + gap);
+  const height = 7 * (cellSize + gap) + 14;
+  const max = Math.max(...heatmap.flat(), 1);
+
+  const rows = heatmap
+    .map((hours, weekday) => {
+      const y = weekday * (cellSize + gap);
+      const cells = hours
+        .map((seconds, hour) => {
+          const opacity = seconds > 0 ? 0.15 + (seconds / max) * 0.85 : 0.05;
+          return `
+           <rect x="${labelWidth + hour * (cellSize + gap)}" y="${y}"
+             width="${cellSize}" height="${cellSize}" rx="2"
+             fill="#667eea" fill-opacity="${opacity.toFixed(2)}">
+             <title>${WEEKDAY_LABELS[weekday]} ${formatHour(
+            hour
+          )}: ${formatTime(seconds)}</title>
+           </rect>
+         `;
+        })
+        .join("");
+
+      return `
+       <text x="0" y="${y + cellSize - 3}" class="chart-label">${
+        WEEKDAY_LABELS[weekday]
+      }</text>
+       ${cells}
+     `;
+    })
+    .join("");
+
+  const hourLabels = [0, 6, 12, 18]
+    .map(
+      (hour) => `
+     <text x="${labelWidth + hour * (cellSize + gap)}" y="${
+        height - 2
+      }" class="chart-label">${formatHour(hour)}</text>
+   `
+    )
+    .join("");
+
+  return `
+   <svg class="chart" viewBox="0 0 ${width} ${height}" role="img"
+     aria-label="Time by day of week and hour">
+     ${rows}
+     ${hourLabels}
+   </svg>
+ `;
+}
+
+// Day-by-day bar chart of total time
+// days is [{ dateKey, totalTime }] as returned by getDailyTotals
+function renderDailyTrend(days) {
+  const width = 760;
+  const height = 160;
+  const chartHeight = 140;
+  const barWidth = width / Math.max(days.length, 1);
+  const max = Math.max(...days.map((day) => day.totalTime), 1);
+  // Show about 7 date labels so they never overlap
+  const labelEvery = Math.max(1, Math.ceil(days.length / 7));
+
+  const bars = days
+    .map((day, index) => {
+      const barHeight = (day.totalTime / max) * chartHeight;
+      const x = index * barWidth;
+
+      return `
+       <rect x="${x + barWidth * 0.1}" y="${chartHeight - barHeight}"
+         width="${barWidth * 0.8}" height="${barHeight}" rx="2"
+         fill="#667eea">
+         <title>${day.dateKey}: ${formatTime(day.totalTime)}</title>
+       </rect>
+       ${
+         index % labelEvery === 0
+           ? `<text x="${x}" y="${
+               height - 2
+             }" class="chart-label">${day.dateKey.slice(5)}</text>`
+           : ""
+       }
+     `;
+    })
+    .join("");
+
+  return `
+   <svg class="chart" viewBox="0 0 ${width} ${height}" role="img"
+     aria-label="Time per day">
+     <line x1="0" y1="${chartHeight}" x2="${width}" y2="${chartHeight}"
+       stroke="#e9ecef" />
+     ${bars}
+   </svg>
+ `;
+}
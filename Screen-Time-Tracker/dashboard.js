@@ -0,0 +1,436 @@
+// Full-Page Dashboard Logic
+// Uses the same aggregation as the popup (aggregate.js) over any date range.
+// The initial range can be passed as ?start=YYYY-MM-DD&end=YYYY-MM-DD and a
+// domain to drill into as &domain=example.com. With sync on, other devices'
+// daily totals can be added in or viewed on their own. The popup opens
+// dashboard.html#import to import a backup here.
+
+let startDate = null;
+let endDate = null;
+let searchQuery = "";
+let selectedDomain = null;
+let dashboardData = null;
+// "all", "local" or a synced device id
+let deviceFilter = "all";
+
+// Initialize dashboard
+document.addEventListener("DOMContentLoaded", async () => {
+  setupImport();
+  try {
+    await loadData();
+    setupControls();
+    render();
+  } catch (error) {
+    showError();
+  }
+
+  if (location.hash === "#import") {
+    document.getElementById("importPanel").scrollIntoView();
+  }
+});
+
+// Re-render when tracking data or settings change in the background
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (
+    dashboardData &&
+    ((areaName === "local" &&
+      (changes.activityData || changes.dailyData || changes.settings)) ||
+      areaName === "sync")
+  ) {
+    await loadData();
+    render();
+  }
+});
+
+// Read tracking data and settings, plus other devices' totals when synced
+async function loadData() {
+  const data = await chrome.storage.local.get(["activityData", "dailyData"]);
+  const settings = await getSettings();
+  const devices = settings.syncEnabled ? await readOtherDevices() : [];
+
+  if (!devices.some((device) => device.id === deviceFilter)) {
+    deviceFilter = deviceFilter === "local" ? "local" : "all";
+  }
+
+  dashboardData = {
+    activityData: data.activityData || {},
+    dailyData: getDeviceDailyData(data.dailyData || {}, devices),
+    settings,
+    devices,
+  };
+  renderDeviceFilter(devices);
+}
+
+// Synced devices other than this one
+async function readOtherDevices() {
+  const deviceId = await getDeviceId();
+  const devices = await readSyncedDevices();
+  return devices.filter((device) => device.id !== deviceId);
+}
+
+// Daily data for the device filter; "all" sums this device and every other
+function getDeviceDailyData(localDailyData, devices) {
+  if (deviceFilter === "local") {
+    return localDailyData;
+  }
+
+  const device = devices.find((d) => d.id === deviceFilter);
+  if (device) {
+    return device.dailyData;
+  }
+
+  const merged = structuredClone(localDailyData);
+  devices.forEach((d) => addDeviceTotals(merged, d.dailyData));
+  return merged;
+}
+
+// Fill the device filter, hidden until another device has synced
+function renderDeviceFilter(devices) {
+  const select = document.getElementById("deviceFilter");
+  select.hidden = devices.length === 0;
+  select.innerHTML = `
+   <option value="all">All devices</option>
+   <option value="local">This device</option>
+   ${devices
+     .map(
+       (device) => `
+     <option value="${escapeHtml(device.id)}">${escapeHtml(
+         device.name || `Device ${device.id.slice(0, 8)}`
+       )}</option>
+   `
+     )
+     .join("")}
+ `;
+  select.value = deviceFilter;
+}
+
+// Setup range presets, date pickers and search
+function setupControls() {
+  const params = new URLSearchParams(location.search);
+  const week = getRangeDates("week", dashboardData.settings.dayStartHour);
+
+  selectedDomain = params.get("domain");
+  // Fall back to this week when the query's dates don't parse
+  const validQuery = setRange(
+    params.get("start") || week.startDate,
+    params.get("end") || week.endDate
+  );
+  if (!validQuery) {
+    setRange(week.startDate, week.endDate);
+  }
+
+  document.querySelectorAll(".presets button").forEach((button) => {
+    button.addEventListener("click", () => {
+      const range = getRangeDates(
+        button.dataset.range,
+        dashboardData.settings.dayStartHour
+      );
+      setRange(range.startDate, range.endDate);
+      render();
+    });
+  });
+
+  ["startDate", "endDate"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", () => {
+      setRange(
+        document.getElementById("startDate").value,
+        document.getElementById("endDate").value
+      );
+      render();
+    });
+  });
+
+  document
+    .getElementById("deviceFilter")
+    .addEventListener("change", async (event) => {
+      deviceFilter = event.target.value;
+      await loadData();
+      render();
+    });
+
+  document.getElementById("siteSearch").addEventListener("input", (event) => {
+    searchQuery = event.target.value.trim().toLowerCase();
+    render();
+  });
+}
+
+// Setup the backup import
+// The popup can't import itself: the file chooser takes focus and closes it.
+function setupImport() {
+  const importFile = document.getElementById("importFile");
+  const importStatus = document.getElementById("importStatus");
+
+  document
+    .getElementById("importButton")
+    .addEventListener("click", () => importFile.click());
+
+  importFile.addEventListener("change", async () => {
+    const file = importFile.files[0];
+    const mode = document.getElementById("importMode").value;
+    importFile.value = "";
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      const data = parseImportFile(await file.text());
+
+      if (
+        mode === "replace" &&
+        !confirm("Replace all current tracking data with this backup?")
+      ) {
+        return;
+      }
+
+      // The background worker owns all writes to the tracking data
+      const response = await chrome.runtime.sendMessage({
+        type: "importData",
+        data,
+        mode,
+      });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      importStatus.textContent = `Imported ${
+        Object.keys(data.dailyData).length
+      } days from ${file.name}.`;
+    } catch (error) {
+      importStatus.textContent = error.message;
+    }
+  });
+}
+
+// Set the date range, swapping the ends if they are reversed
+// Returns false and keeps the current range if either end is not a real date
+function setRange(start, end) {
+  const isDateKey = (key) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(key || "") &&
+    formatDateKey(parseDateKey(key)) === key;
+  if (!isDateKey(start) || !isDateKey(end)) {
+    return false;
+  }
+  if (start > end) {
+    [start, end] = [end, start];
+  }
+
+  startDate = start;
+  endDate = end;
+  document.getElementById("startDate").value = start;
+  document.getElementById("endDate").value = end;
+  return true;
+}
+
+// Render the whole dashboard for the current range
+function render() {
+  const { activityData, dailyData, settings } = dashboardData;
+  const data = processData(
+    activityData,
+    dailyData,
+    startDate,
+    endDate,
+    settings
+  );
+  const content = document.getElementById("content");
+
+  const avgTimePerDay = Math.floor(data.totalTime / data.days.length);
+
+  content.innerHTML = `
+   <div class="stats-grid">
+     <div class="stat-card">
+       <div class="stat-label">Total Time</div>
+       <div class="stat-value">${formatTime(data.totalTime)}</div>
+     </div>
+     <div class="stat-card">
+       <div class="stat-label">Avg per Day</div>
+       <div class="stat-value">${formatTime(avgTimePerDay)}</div>
+     </div>
+     <div class="stat-card">
+       <div class="stat-label">Sites Visited</div>
+       <div class="stat-value">${data.uniqueSites}</div>
+     </div>
+     <div class="stat-card">
+       <div class="stat-label">Total Visits</div>
+       <div class="stat-value">${data.totalVisits}</div>
+     </div>
+   </div>
+
+
+   <div class="panel">
+     <div class="panel-header">Daily Trend</div>
+     ${renderDailyTrend(data.days)}
+   </div>
+
+
+   <div class="columns">
+     <div class="panel">
+       <div class="panel-header">Categories</div>
+       ${renderCategoryList(data)}
+     </div>
+     <div class="panel">
+       <div class="panel-header">When You Browse</div>
+       ${renderWeeklyHeatmap(data.heatmap)}
+     </div>
+   </div>
+
+
+   ${selectedDomain ? renderDrillDown(selectedDomain, data) : ""}
+
+
+   <div class="panel">
+     <div class="panel-header">All Sites</div>
+     ${renderSiteTable(data)}
+   </div>
+ `;
+
+  document.querySelectorAll(".site-row").forEach((row) => {
+    row.addEventListener("click", () => {
+      selectedDomain = row.dataset.domain;
+      render();
+      document
+        .getElementById("drillDown")
+        .scrollIntoView({ behavior: "smooth" });
+    });
+  });
+
+  document.getElementById("closeDrillDown")?.addEventListener("click", () => {
+    selectedDomain = null;
+    render();
+  });
+}
+
+// Render category totals as bars
+function renderCategoryList(data) {
+  if (data.categories.length === 0) {
+    return `<p class="empty">No activity in this range.</p>`;
+  }
+
+  return data.categories
+    .map(
+      ([category, time]) => `
+     <div class="category-item">
+       <div class="category-label">
+         <span>${category}</span>
+         <span>${formatTime(time)}</span>
+       </div>
+       <div class="category-bar">
+         <div class="category-fill" style="width: ${
+           (time / data.totalTime) * 100
+         }%; background: ${getCategoryColor(category)}"></div>
+       </div>
+     </div>
+   `
+    )
+    .join("");
+}
+
+// Render every site in range, filtered by the search box
+function renderSiteTable(data) {
+  const sites = data.sites.filter(
+    ([domain, stats]) =>
+      domain.includes(searchQuery) ||
+      stats.category.toLowerCase().includes(searchQuery)
+  );
+
+  if (sites.length === 0) {
+    return `<p class="empty">${
+      searchQuery
+        ? `No sites match "${escapeHtml(searchQuery)}".`
+        : "No activity in this range."
+    }</p>`;
+  }
+
+  return `
+   <table class="site-table">
+     <thead>
+       <tr>
+         <th>Site</th>
+         <th>Category</th>
+         <th class="numeric">Visits</th>
+         <th class="numeric">Time</th>
+         <th class="numeric">Share</th>
+       </tr>
+     </thead>
+     <tbody>
+       ${sites
+         .map(
+           ([domain, stats], index) => `
+         <tr class="site-row ${
+           domain === selectedDomain ? "selected" : ""
+         }" data-domain="${escapeHtml(domain)}">
+           <td>
+             <span class="site-icon" style="background: ${getColorForIndex(
+               index
+             )}"></span>
+             ${escapeHtml(domain)}
+           </td>
+           <td>${stats.category}</td>
+           <td class="numeric">${stats.visits}</td>
+           <td class="numeric">${formatTime(stats.time)}</td>
+           <td class="numeric">${Math.round(
+             (stats.time / data.totalTime) * 100
+           )}%</td>
+         </tr>
+       `
+         )
+         .join("")}
+     </tbody>
+   </table>
+ `;
+}
+
+// Render one domain's history from dailyData and its all-time activityData
+function renderDrillDown(domain, data) {
+  const { activityData, dailyData, settings } = dashboardData;
+  const history = getDomainHistory(
+    dailyData,
+    domain,
+    startDate,
+    endDate,
+    settings
+  );
+  const stats = data.sites.find(([site]) => site === domain)?.[1];
+  const allTime = getDomainAllTime(activityData, domain, settings);
+
+  return `
+   <div class="panel" id="drillDown">
+     <div class="panel-header">
+       ${escapeHtml(domain)}
+       <button class="close-btn" id="closeDrillDown" title="Close">×</button>
+     </div>
+     <div class="drill-stats">
+       <div>
+         <div class="stat-label">In Range</div>
+         <div class="stat-value">${formatTime(stats?.time || 0)}</div>
+       </div>
+       <div>
+         <div class="stat-label">Visits in Range</div>
+         <div class="stat-value">${stats?.visits || 0}</div>
+       </div>
+       <div>
+         <div class="stat-label">All Time</div>
+         <div class="stat-value">${formatTime(allTime.totalTime)}</div>
+       </div>
+       <div>
+         <div class="stat-label">Last Visit</div>
+         <div class="stat-value">${
+           allTime.lastVisit
+             ? new Date(allTime.lastVisit).toLocaleDateString()
+             : "—"
+         }</div>
+       </div>
+     </div>
+     ${renderDailyTrend(history)}
+   </div>
+ `;
+}
+
+// Show error state
+function showError() {
+  document.getElementById("content").innerHTML = `
+   <div class="panel empty">
+     <p>Error loading data. Please try again.</p>
+   </div>
+ `;
+}
@@ -0,0 +1,67 @@
+// Date helpers shared by the background worker and popup
+// Day keys are YYYY-MM-DD in the user's local time. A tracking day can start
+// at a later hour (dayStartHour) so late nights count toward the previous day.
+
+// Format a Date as a local YYYY-MM-DD key
+function formatDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+// Format date for storage keys (YYYY-MM-DD)
+function getDateKey(timestamp = Date.now(), dayStartHour = 0) {
+  const date = new Date(timestamp);
+  if (date.getHours() < dayStartHour) {
+    date.setDate(date.getDate() - 1);
+  }
+  return formatDateKey(date);
+}
+
+// Parse a YYYY-MM-DD key into a local Date (at noon, safe from DST shifts)
+function parseDateKey(dateKey) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return new Date(year, month - 1, day, 12);
+}
+
+// Move a date key by a number of days
+function shiftDateKey(dateKey, days) {
+  const date = parseDateKey(dateKey);
+  date.setDate(date.getDate() + days);
+  return formatDateKey(date);
+}
+
+// Timestamp of the first clock-hour boundary after the given time
+function getNextHourBoundary(timestamp) {
+  const boundary = new Date(timestamp);
+  boundary.setMinutes(60, 0, 0);
+  return boundary.getTime();
+}
+
+// Split a time span into whole seconds per local clock hour
+// Returns [{ dateKey, hour, seconds }]; hour boundaries are also day
+// boundaries, so each piece belongs to exactly one day. Rounding never loses
+// or adds a second.
+function splitByHour(startTime, endTime, dayStartHour = 0) {
+  const pieces = [];
+  let pieceStart = startTime;
+
+  while (pieceStart < endTime) {
+    const pieceEnd = Math.min(getNextHourBoundary(pieceStart), endTime);
+    const seconds =
+      Math.floor((pieceEnd - startTime) / 1000) -
+      Math.floor((pieceStart - startTime) / 1000);
+
+    if (seconds > 0) {
+      pieces.push({
+        dateKey: getDateKey(pieceStart, dayStartHour),
+        hour: new Date(pieceStart).getHours(),
+        seconds,
+      });
+    }
+    pieceStart = pieceEnd;
+  }
+
+  return pieces;
+}
@@ -0,0 +1,54 @@
+// Page-level detail for opted-in domains
+// Loaded by the background worker after limits.js. settings.pageDetailRules
+// holds { domain, mode } entries: "path" records time per path prefix
+// ("/owner/repo") and "title" per page title. Only the URL's path is ever
+// read, so query strings and fragments never reach storage.
+
+// Path segments kept for a path prefix
+const PATH_PREFIX_DEPTH = 2;
+const MAX_TITLE_LENGTH = 100;
+
+// Get the detail key for a tab on a domain, or null if it has no rule
+function getPageDetail(tab, domain, rules) {
+  const rule = rules.find((r) => domainMatches(domain, r.domain));
+  if (!rule) {
+    return null;
+  }
+
+  return rule.mode === "title"
+    ? getTitleDetail(tab.title, tab.url)
+    : getPathPrefix(tab.url);
+}
+
+// "/owner/repo" from "https://github.com/owner/repo/issues?q=x#top"
+function getPathPrefix(url) {
+  try {
+    const segments = new URL(url).pathname
+      .split("/")
+      .filter(Boolean)
+      .slice(0, PATH_PREFIX_DEPTH);
+    return `/${segments.map(decodeSegment).join("/")}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return segment;
+  }
+}
+
+// Trimmed page title, or null while the tab still shows its URL as title
+function getTitleDetail(title, url) {
+  const text = (title || "").trim();
+  const bareUrl = (url || "").replace(/^[a-z-]+:\/\//, "");
+
+  // Loading tabs use the URL (query string included) as their title
+  if (!text || bareUrl.startsWith(text)) {
+    return null;
+  }
+  return text.slice(0, MAX_TITLE_LENGTH);
+}
@@ -0,0 +1,166 @@
+// Scheduled digest notifications
+// Loaded by the background worker after aggregate.js. settings.digestMode is
+// "off", "daily" (today's summary each evening) or "weekly" (the last seven
+// days, every Monday morning). A daily digest compares today so far with
+// yesterday up to the same time of day, a weekly one with the week before,
+// and clicking either opens the dashboard on its range.
+
+const DIGEST_ALARM = "digest";
+const DIGEST_DAILY_HOUR = 21;
+const DIGEST_WEEKLY_HOUR = 9;
+// Notification ids look like "digest|<startDate>|<endDate>"
+const DIGEST_NOTIFICATION_PREFIX = "digest|";
+
+// Schedule the next digest for the current mode, or cancel it
+async function scheduleDigest() {
+  const { digestMode } = await getSettings();
+
+  if (digestMode === "off") {
+    await chrome.alarms.clear(DIGEST_ALARM);
+    return;
+  }
+  chrome.alarms.create(DIGEST_ALARM, {
+    when: getNextDigestTime(digestMode, Date.now()),
+  });
+}
+
+// Next evening for daily digests, next Monday morning for weekly ones
+function getNextDigestTime(digestMode, now) {
+  const next = new Date(now);
+  next.setMinutes(0, 0, 0);
+
+  if (digestMode === "daily") {
+    next.setHours(DIGEST_DAILY_HOUR);
+  } else {
+    next.setHours(DIGEST_WEEKLY_HOUR);
+    // getDay() is 0 for Sunday, 1 for Monday
+    next.setDate(next.getDate() + ((8 - next.getDay()) % 7));
+  }
+
+  if (next.getTime() <= now) {
+    next.setDate(next.getDate() + (digestMode === "daily" ? 1 : 7));
+  }
+  return next.getTime();
+}
+
+// Build and show the digest, then schedule the next one
+async function sendDigest() {
+  const settings = await getSettings();
+  if (settings.digestMode === "off") {
+    return;
+  }
+
+  const now = Date.now();
+  const today = getDateKey(now, settings.dayStartHour);
+  const range =
+    settings.digestMode === "daily"
+      ? { startDate: today, endDate: today }
+      : {
+          startDate: shiftDateKey(today, -7),
+          endDate: shiftDateKey(today, -1),
+        };
+  const { activityData = {}, dailyData = {} } = await chrome.storage.local.get([
+    "activityData",
+    "dailyData",
+  ]);
+  const current = processData(
+    activityData,
+    dailyData,
+    range.startDate,
+    range.endDate,
+    settings
+  );
+  const previousTotal =
+    settings.digestMode === "daily"
+      ? getTimeSoFar(dailyData[shiftDateKey(today, -1)], now, settings)
+      : getPreviousTotal(activityData, dailyData, range, settings);
+
+  chrome.notifications.create(
+    `${DIGEST_NOTIFICATION_PREFIX}${range.startDate}|${range.endDate}`,
+    {
+      type: "basic",
+      iconUrl: "icons/icon128.png",
+      title: getDigestTitle(settings.digestMode, current, previousTotal),
+      message: getDigestMessage(current),
+    }
+  );
+
+  await scheduleDigest();
+}
+
+// Total time of the range before a digest's range
+function getPreviousTotal(activityData, dailyData, range, settings) {
+  const previous = getPreviousRange(range.startDate, range.endDate);
+  return processData(
+    activityData,
+    dailyData,
+    previous.startDate,
+    previous.endDate,
+    settings
+  ).totalTime;
+}
+
+// A day's time up to the time of day of now, from its hourly buckets
+// Part of the current hour is counted in proportion to the minutes gone.
+// Returns null for days recorded before hourly buckets existed.
+function getTimeSoFar(day, now, settings) {
+  if (!day || !day.hours) {
+    return null;
+  }
+
+  const time = new Date(now);
+  // Hours in the order they occur in a day starting at dayStartHour
+  const getPosition = (hour) => (hour - settings.dayStartHour + 24) % 24;
+  const currentPosition = getPosition(time.getHours());
+  let seconds = 0;
+
+  for (const hour in day.hours) {
+    const position = getPosition(Number(hour));
+    if (position < currentPosition) {
+      seconds += day.hours[hour];
+    } else if (position === currentPosition) {
+      seconds += (day.hours[hour] * time.getMinutes()) / 60;
+    }
+  }
+  return Math.round(seconds);
+}
+
+// "Today: 2h 10m (-5% vs this time yesterday)"
+function getDigestTitle(digestMode, current, previousTotal) {
+  const [label, previousLabel] =
+    digestMode === "daily"
+      ? ["Today", "this time yesterday"]
+      : ["Last 7 days", "the week before"];
+  const total = `${label}: ${formatTime(current.totalTime)}`;
+
+  if (!previousTotal) {
+    return total;
+  }
+
+  const change = Math.round(
+    ((current.totalTime - previousTotal) / previousTotal) * 100
+  );
+  return `${total} (${change >= 0 ? "+" : ""}${change}% vs ${previousLabel})`;
+}
+
+// Top three sites, or a note that nothing was tracked
+function getDigestMessage(current) {
+  if (current.sites.length === 0) {
+    return "No browsing time was tracked.";
+  }
+
+  return current.sites
+    .slice(0, 3)
+    .map(([domain, stats]) => `${domain} ${formatTime(stats.time)}`)
+    .join(" · ");
+}
+
+// Get the dashboard range from a digest notification id, or null
+function getDigestRange(notificationId) {
+  if (!notificationId.startsWith(DIGEST_NOTIFICATION_PREFIX)) {
+    return null;
+  }
+
+  const [, startDate, endDate] = notificationId.split("|");
+  return { startDate, endDate };
+}
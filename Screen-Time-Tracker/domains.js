@@ -0,0 +1,55 @@
+// Hostname normalization shared by the background worker, popup and dashboard
+// Subdomains can be rolled up to their registrable domain ("mail.google.com"
+// and "docs.google.com" become "google.com") using the Public Suffix List
+// bundled in public-suffixes.js, which must be loaded first.
+
+// Every rule from the list: "co.uk", wildcards like "*.ck" and exceptions
+// like "!www.ck"
+const PUBLIC_SUFFIXES = new Set(
+  PUBLIC_SUFFIX_GROUPS.flatMap((group) => {
+    const [tld, prefixes = ""] = group.split(":");
+    return prefixes
+      .split(",")
+      .map((prefix) => (prefix ? `${prefix}.${tld}` : tld));
+  })
+);
+
+// Strip a leading "www." from a hostname
+function stripWww(hostname) {
+  return hostname.replace(/^www\./, "");
+}
+
+// Get the registrable domain for a hostname
+// "a.b.co.uk" -> "b.co.uk", "user.github.io" stays as is, IPs are unchanged.
+// Follows the list's algorithm: exceptions win, then the longest matching
+// rule, and a hostname matching no rule has its last label as the suffix.
+function getRegistrableDomain(hostname) {
+  if (hostname.startsWith("[") || /^\d+(\.\d+){3}$/.test(hostname)) {
+    return hostname;
+  }
+
+  const labels = hostname.split(".");
+
+  // Check from the left so the longest suffix wins
+  for (let i = 0; i < labels.length; i++) {
+    const suffix = labels.slice(i).join(".");
+    if (PUBLIC_SUFFIXES.has(`!${suffix}`)) {
+      return suffix;
+    }
+
+    const parent = labels.slice(i + 1).join(".");
+    if (
+      PUBLIC_SUFFIXES.has(suffix) ||
+      (parent && PUBLIC_SUFFIXES.has(`*.${parent}`))
+    ) {
+      return i > 0 ? labels.slice(i - 1).join(".") : hostname;
+    }
+  }
+  return labels.slice(-2).join(".");
+}
+
+// Normalize a stored hostname for display and aggregation
+function normalizeDomain(hostname, groupSubdomains = false) {
+  const domain = stripWww(hostname);
+  return groupSubdomains ? getRegistrableDomain(domain) : domain;
+}
@@ -0,0 +1,101 @@
+// Exclusion rules shared by the background worker and popup
+// settings.exclusionRules holds one rule per entry:
+//   "example.com"    exact host
+//   "*.example.com"  any subdomain of example.com
+//   "file://"        every URL with that scheme ("about:" works too)
+// Excluded URLs are never tracked, so they never reach storage.
+// Hosts are stored without "www." (see stripWww in domains.js), so it is
+// ignored on both sides: "example.com" and "www.example.com" are the same
+// rule, and "*.example.com" covers subdomains other than www.
+
+// Parse a rule into { type, value }, or null if it is not a valid rule
+function parseExclusionRule(text) {
+  const rule = text.trim().toLowerCase();
+
+  if (/^[a-z][a-z0-9+.-]*:(\/\/)?$/.test(rule)) {
+    return { type: "scheme", value: rule.split(":")[0] + ":" };
+  }
+  if (/^\*\.[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(rule)) {
+    return { type: "wildcard", value: rule.slice(2) };
+  }
+  if (/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(rule)) {
+    return { type: "host", value: rule };
+  }
+  return null;
+}
+
+// Check a hostname against host and wildcard rules
+// Takes raw hostnames from URLs as well as stored, www-stripped domains
+function isHostExcluded(hostname, settings) {
+  if (settings.excludePrivateHosts && isPrivateHost(hostname)) {
+    return true;
+  }
+
+  const domain = stripWww(hostname);
+  return settings.exclusionRules.some((text) => {
+    const rule = parseExclusionRule(text);
+    if (!rule) {
+      return false;
+    }
+    if (rule.type === "host") {
+      return domain === stripWww(rule.value);
+    }
+    if (rule.type === "wildcard") {
+      return domain.endsWith(`.${rule.value}`);
+    }
+    return false;
+  });
+}
+
+// Check a full URL against every rule, including scheme rules
+function isUrlExcluded(url, settings) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return true;
+  }
+
+  const schemeExcluded = settings.exclusionRules.some((text) => {
+    const rule = parseExclusionRule(text);
+    return rule && rule.type === "scheme" && urlObj.protocol === rule.value;
+  });
+
+  return schemeExcluded || isHostExcluded(urlObj.hostname, settings);
+}
+
+// Localhost, private and link-local IPs, and intranet hosts
+function isPrivateHost(hostname) {
+  // Single-label hosts ("intranet", "router") only resolve on local networks
+  if (!hostname.includes(".") && !hostname.startsWith("[")) {
+    return true;
+  }
+
+  const privateSuffixes = [
+    ".localhost",
+    ".local",
+    ".lan",
+    ".internal",
+    ".intranet",
+    ".corp",
+    ".home.arpa",
+  ];
+  if (privateSuffixes.some((suffix) => hostname.endsWith(suffix))) {
+    return true;
+  }
+
+  const ipv4 = hostname.match(/^(\d+)\.(\d+)\.\d+\.\d+$/);
+  if (ipv4) {
+    const [first, second] = [Number(ipv4[1]), Number(ipv4[2])];
+    return (
+      first === 10 ||
+      first === 127 ||
+      (first === 172 && second >= 16 && second <= 31) ||
+      (first === 192 && second === 168) ||
+      (first === 169 && second === 254)
+    );
+  }
+
+  // IPv6 loopback, unique local (fc00::/7) and link-local (fe80::/10)
+  return /^\[(::1|f[cd][0-9a-f]*:|fe[89ab][0-9a-f]*:)/.test(hostname);
+}
@@ -0,0 +1,130 @@
+// Focus sessions (Pomodoro) that block distracting sites
+// Loaded by the background worker after limits.js. The running session lives
+// in the "focusSession" storage key as
+// { phase, phaseEndsAt, focusMinutes, breakMinutes, blockedDomains }, where
+// phase is "focus" or "break". Phases alternate until the session is stopped,
+// and every finished focus phase is recorded in dailyData.
+
+const FOCUS_PHASE_ALARM = "focusPhase";
+const FOCUS_BADGE_ALARM = "focusBadge";
+const FOCUS_BADGE_COLORS = { focus: "#e74c3c", break: "#43e97b" };
+
+// Read the running focus session, or null
+async function getFocusSession() {
+  const result = await chrome.storage.local.get("focusSession");
+  return result.focusSession || null;
+}
+
+// Start a focus session with its first focus phase
+async function startFocusSession(focusMinutes, breakMinutes, blockedDomains) {
+  await beginFocusPhase(
+    { focusMinutes, breakMinutes, blockedDomains },
+    "focus"
+  );
+}
+
+// Stop the running focus session and clear its alarms
+// The caller hands the badge back to the time display
+async function stopFocusSession() {
+  await chrome.storage.local.remove("focusSession");
+  await chrome.alarms.clear(FOCUS_PHASE_ALARM);
+  await chrome.alarms.clear(FOCUS_BADGE_ALARM);
+}
+
+// Switch the session to a phase and schedule the phase's end
+async function beginFocusPhase(session, phase) {
+  const minutes =
+    phase === "focus" ? session.focusMinutes : session.breakMinutes;
+  const now = Date.now();
+
+  session.phase = phase;
+  session.phaseStartedAt = now;
+  session.phaseEndsAt = now + minutes * 60 * 1000;
+  await chrome.storage.local.set({ focusSession: session });
+
+  chrome.alarms.create(FOCUS_PHASE_ALARM, { when: session.phaseEndsAt });
+  chrome.alarms.create(FOCUS_BADGE_ALARM, { periodInMinutes: 1 });
+  updateFocusBadge(session);
+
+  if (phase === "focus") {
+    await blockOpenTabs(session);
+  }
+}
+
+// Move on when a phase ends, recording finished focus phases
+async function advanceFocusPhase(dateKey) {
+  const session = await getFocusSession();
+  if (!session) {
+    return;
+  }
+
+  if (session.phase === "focus") {
+    await recordFocusSession(dateKey, session.focusMinutes * 60);
+    showFocusNotification(
+      "Focus session complete",
+      `Take a ${session.breakMinutes} minute break.`
+    );
+    await beginFocusPhase(session, "break");
+  } else {
+    showFocusNotification(
+      "Break over",
+      `Back to focus for ${session.focusMinutes} minutes.`
+    );
+    await beginFocusPhase(session, "focus");
+  }
+}
+
+// Check if a hostname is blocked by the session's current phase
+function isFocusBlocked(session, hostname) {
+  return Boolean(
+    session &&
+      session.phase === "focus" &&
+      session.blockedDomains.some((domain) => domainMatches(hostname, domain))
+  );
+}
+
+// Redirect a tab to the blocked page if its site is off limits right now
+async function enforceFocusBlock(tabId, url, session) {
+  const hostname = getDomainFromUrl(url);
+  if (!hostname || !isFocusBlocked(session, hostname)) {
+    return;
+  }
+
+  try {
+    const params = new URLSearchParams({ focus: "1", domain: hostname, url });
+    await chrome.tabs.update(tabId, {
+      url: chrome.runtime.getURL(`blocked.html?${params}`),
+    });
+  } catch (error) {
+    console.error("Error blocking tab:", error);
+  }
+}
+
+// Block every open tab on a listed site when a focus phase starts
+async function blockOpenTabs(session) {
+  const tabs = await chrome.tabs.query({});
+  await Promise.all(
+    tabs.map((tab) => enforceFocusBlock(tab.id, tab.url, session))
+  );
+}
+
+// Show the minutes left in the current phase on the action badge
+function updateFocusBadge(session) {
+  const minutesLeft = Math.max(
+    0,
+    Math.ceil((session.phaseEndsAt - Date.now()) / 60000)
+  );
+  chrome.action.setBadgeText({ text: `${minutesLeft}m` });
+  chrome.action.setBadgeBackgroundColor({
+    color: FOCUS_BADGE_COLORS[session.phase],
+  });
+}
+
+function showFocusNotification(title, message) {
+  chrome.notifications.create(`focus-${Date.now()}`, {
+    type: "basic",
+    iconUrl: "icons/icon128.png",
+    title,
+    message,
+  });
+}
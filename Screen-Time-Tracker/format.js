@@ -0,0 +1,64 @@
+// Display helpers shared by the popup and full-page dashboard
+
+// Format time display
+function formatTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  if (minutes > 0) {
+    return `${minutes}m`;
+  }
+  return `${secs}s`; // Show seconds if less than 1 minute
+}
+
+// Format an hour of the day (0-23) as "12 AM", "6 AM", "3 PM"
+function formatHour(hour) {
+  const suffix = hour < 12 ? "AM" : "PM";
+  return `${hour % 12 || 12} ${suffix}`;
+}
+
+// Format a byte count as "512 B", "3.4 KB", "1.2 MB"
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Characters that could end an element or a quoted attribute value
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Escape user-provided text for innerHTML, in element text or attributes
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+// Get color for domain (consistent hashing)
+function getColorForIndex(index) {
+  const colors = [
+    "#667eea",
+    "#f093fb",
+    "#4facfe",
+    "#43e97b",
+    "#fa709a",
+    "#fee140",
+    "#30cfd0",
+    "#a8edea",
+    "#ff6b6b",
+    "#4ecdc4",
+  ];
+  return colors[index % colors.length];
+}
@@ -0,0 +1,118 @@
+// Daily time limits for domains and groups of domains
+// Loaded by the background worker. Budgets live in settings.timeLimits as
+// { id, name, domains, minutes }; today's warning, snooze and override
+// flags live in the "limitState" storage key.
+
+// Check if a hostname belongs to a limit domain (exact or subdomain)
+function domainMatches(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+// Get the limits that apply to a hostname
+function getLimitsForDomain(timeLimits, hostname) {
+  return timeLimits.filter((limit) =>
+    limit.domains.some((domain) => domainMatches(hostname, domain))
+  );
+}
+
+// Seconds used in one day across every domain of a limit
+function getLimitUsage(limit, dayData) {
+  if (!dayData) {
+    return 0;
+  }
+
+  let used = 0;
+  for (const hostname in dayData.domains) {
+    if (limit.domains.some((domain) => domainMatches(hostname, domain))) {
+      used += dayData.domains[hostname];
+    }
+  }
+  return used;
+}
+
+// Read limit state for a day, starting fresh when the day has changed
+async function getLimitState(dateKey) {
+  const result = await chrome.storage.local.get("limitState");
+  const limitState = result.limitState;
+
+  if (!limitState || limitState.dateKey !== dateKey) {
+    return { dateKey, limits: {} };
+  }
+  return limitState;
+}
+
+// Change one limit's state for the day through the write queue
+function updateLimitState(dateKey, limitId, changes) {
+  return runExclusive(async () => {
+    const limitState = await getLimitState(dateKey);
+    limitState.limits[limitId] = {
+      ...(limitState.limits[limitId] || {}),
+      ...changes,
+    };
+    await chrome.storage.local.set({ limitState });
+  });
+}
+
+// Warn or block when a tab's domain is over its daily budget
+// inFlightSeconds is time in the running session not yet saved
+async function enforceTimeLimits(tabId, hostname, inFlightSeconds, dateKey) {
+  const settings = await getSettings();
+  const limits = getLimitsForDomain(settings.timeLimits, hostname);
+
+  if (limits.length === 0) {
+    return;
+  }
+
+  const { dailyData = {} } = await chrome.storage.local.get("dailyData");
+  const limitState = await getLimitState(dateKey);
+  const now = Date.now();
+
+  for (const limit of limits) {
+    const used = getLimitUsage(limit, dailyData[dateKey]) + inFlightSeconds;
+    const budget = limit.minutes * 60;
+    const status = limitState.limits[limit.id] || {};
+
+    if (used >= budget) {
+      if (!status.overridden && !(status.snoozedUntil > now)) {
+        await showTimesUpPage(tabId, hostname, limit);
+        return;
+      }
+    } else if (
+      used >= (budget * settings.limitWarningPercent) / 100 &&
+      !status.warned
+    ) {
+      showLimitWarning(limit, budget - used);
+      await updateLimitState(dateKey, limit.id, { warned: true });
+    }
+  }
+}
+
+// Notify that a limit is close to running out
+function showLimitWarning(limit, remainingSeconds) {
+  const minutesLeft = Math.max(1, Math.round(remainingSeconds / 60));
+
+  chrome.notifications.create(`limit-warning-${limit.id}`, {
+    type: "basic",
+    iconUrl: "icons/icon128.png",
+    title: `${limit.name}: ${minutesLeft} min left today`,
+    message: `You've used most of your ${limit.minutes} minute daily limit.`,
+  });
+}
+
+// Redirect a tab to the bundled "time's up" page
+async function showTimesUpPage(tabId, hostname, limit) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const params = new URLSearchParams({
+      limit: limit.id,
+      domain: hostname,
+      url: tab.url,
+    });
+
+    await chrome.tabs.update(tabId, {
+      url: chrome.runtime.getURL(`blocked.html?${params}`),
+    });
+  } catch (error) {
+    console.error("Error blocking tab:", error);
+  }
+}
@@ -1,13 +1,54 @@
 // Popup Dashboard Logic
 
 let currentRange = "today";
+let currentView = "dashboard";
+// Interval updating the focus countdown while the focus view is open
+let focusCountdown = null;
+
+// Idle threshold choices offered in settings (seconds)
+const IDLE_THRESHOLD_OPTIONS = [60, 120, 300, 600, 900, 1800];
+// Day start hours offered in settings (midnight to noon)
+const DAY_START_OPTIONS = Array.from({ length: 13 }, (_, hour) => hour);
+// Limit warning thresholds offered in settings (percent)
+const LIMIT_WARNING_OPTIONS = [50, 75, 80, 90];
+// Focus and break lengths offered for focus sessions (minutes)
+const FOCUS_MINUTES_OPTIONS = [15, 25, 45, 60, 90];
+const BREAK_MINUTES_OPTIONS = [5, 10, 15, 30];
+// Toolbar badge modes offered in settings
+const BADGE_MODE_OPTIONS = [
+  ["site", "Current site today"],
+  ["total", "All sites today"],
+  ["off", "Off"],
+];
+// Summary notification schedules offered in settings
+const DIGEST_MODE_OPTIONS = [
+  ["off", "Off"],
+  ["daily", "Daily at 9 PM"],
+  ["weekly", "Weekly on Monday at 9 AM"],
+];
+// History retention choices offered in settings (days, 0 = forever)
+const RETENTION_OPTIONS = [
+  [30, "30 days"],
+  [90, "90 days"],
+  [365, "1 year"],
+  [0, "Forever"],
+];
 
 // Initialize popup
 document.addEventListener("DOMContentLoaded", () => {
   setupTimeSelector();
+  setupSettingsToggle();
+  setupFocusToggle();
   loadDashboard();
 });
 
+// Send a message to the background worker
+// The background worker owns all writes to the tracking data, so the popup
+// sends it every change instead of writing storage itself.
+function sendToBackground(message) {
+  return chrome.runtime.sendMessage(message);
+}
+
 // Setup time range selector
 function setupTimeSelector() {
   const buttons = document.querySelectorAll(".time-selector button");
@@ -22,127 +63,66 @@ function setupTimeSelector() {
   });
 }
 
+// Setup settings button in the header
+function setupSettingsToggle() {
+  document.getElementById("settingsToggle").addEventListener("click", () => {
+    showView(currentView === "settings" ? "dashboard" : "settings");
+  });
+}
+
+// Setup focus button in the header
+function setupFocusToggle() {
+  document.getElementById("focusToggle").addEventListener("click", () => {
+    showView(currentView === "focus" ? "dashboard" : "focus");
+  });
+}
+
+// Switch between dashboard, focus and settings views
+function showView(view) {
+  currentView = view;
+  clearInterval(focusCountdown);
+  document.querySelector(".time-selector").style.display =
+    view === "dashboard" ? "flex" : "none";
+
+  if (view === "settings") {
+    loadSettings();
+  } else if (view === "focus") {
+    loadFocus();
+  } else {
+    loadDashboard();
+  }
+}
+
 // Load dashboard data
 async function loadDashboard() {
   try {
     const data = await chrome.storage.local.get(["activityData", "dailyData"]);
     const activityData = data.activityData || {};
     const dailyData = data.dailyData || {};
+    const settings = await getSettings();
 
-    const processedData = processData(activityData, dailyData, currentRange);
-    renderDashboard(processedData);
+    const { startDate, endDate } = getRangeDates(
+      currentRange,
+      settings.dayStartHour
+    );
+    const processedData = processData(
+      activityData,
+      dailyData,
+      startDate,
+      endDate,
+      settings
+    );
+    renderDashboard(processedData, settings);
   } catch (error) {
     showError();
   }
 }
 
-// Process data based on time range
-function processData(activityData, dailyData, range) {
-  const now = new Date();
-  const today = getDateKey(now);
-
-  let startDate;
-  if (range === "today") {
-    startDate = today;
-  } else if (range === "week") {
-    const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    startDate = getDateKey(weekAgo);
-  } else if (range === "month") {
-    const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    startDate = getDateKey(monthAgo);
-  }
-
-  // Filter and aggregate data
-  const domainStats = {};
-  let totalTime = 0;
-  let totalVisits = 0;
-
-  // Use dailyData to get accurate visit counts per date range
-  for (const dateKey in dailyData) {
-    if (dateKey >= startDate && dateKey <= today) {
-      const dayData = dailyData[dateKey];
-
-      for (const domain in dayData.domains) {
-        const timeForDay = dayData.domains[domain];
-
-        if (!domainStats[domain]) {
-          domainStats[domain] = {
-            time: 0,
-            visits: 0,
-            lastVisit: activityData[domain]?.lastVisit || Date.now(),
-          };
-        }
-
-        domainStats[domain].time += timeForDay;
-        totalTime += timeForDay;
-      }
-    }
-  }
-
-  // Count visits from activityData for the date range
-  for (const domain in activityData) {
-    const domainData = activityData[domain];
-    let visitsInRange = 0;
-
-    // Count visits by checking dailyBreakdown dates
-    for (const date in domainData.dailyBreakdown) {
-      if (
-        date >= startDate &&
-        date <= today &&
-        domainData.dailyBreakdown[date] > 0
-      ) {
-        // Estimate visits based on proportion of time in this date
-        const proportion =
-          domainData.dailyBreakdown[date] / domainData.totalTime;
-        visitsInRange += Math.ceil(domainData.visits * proportion);
-      }
-    }
-
-    if (domainStats[domain]) {
-      domainStats[domain].visits = visitsInRange;
-      totalVisits += visitsInRange;
-    }
-  }
-
-  // Sort domains by time
-  const sortedDomains = Object.entries(domainStats)
-    .sort((a, b) => b[1].time - a[1].time)
-    .slice(0, 10); // Top 10 sites
-
-  return {
-    totalTime,
-    totalVisits,
-    uniqueSites: sortedDomains.length,
-    topSites: sortedDomains,
-  };
-}
-
-// Format date key
-function getDateKey(date) {
-  const d = new Date(date);
-  return d.toISOString().split("T")[0];
-}
-
-// Format time display
-function formatTime(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-
-  if (hours > 0) {
-    return `${hours}h ${minutes}m`;
-  }
-  if (minutes > 0) {
-    return `${minutes}m`;
-  }
-  return `${secs}s`; // Show seconds if less than 1 minute
-}
-
 // Render dashboard
-function renderDashboard(data) {
+function renderDashboard(data, settings) {
   const content = document.getElementById("content");
 
-  if (data.topSites.length === 0) {
+  if (data.sites.length === 0) {
     content.innerHTML = `
      <div class="no-data">
        <div class="no-data-icon">📊</div>
@@ -178,9 +158,52 @@ function renderDashboard(data) {
    </div>
 
 
+   <div class="sites-list chart-panel">
+     <div class="sites-header">
+       ${currentRange === "today" ? "Today by Hour" : "When You Browse"}
+     </div>
+     ${
+       currentRange === "today"
+         ? renderHourlyTimeline(data.hourly, settings.dayStartHour)
+         : renderWeeklyHeatmap(data.heatmap)
+     }
+   </div>
+
+
+   <div class="sites-list category-list">
+     <div class="sites-header">Categories</div>
+     ${data.categories
+       .map(
+         ([category, time]) => `
+       <div class="category-item">
+         <div class="category-label">
+           <span>${category}</span>
+           <span class="site-time">${formatTime(time)}</span>
+         </div>
+         <div class="category-bar">
+           <div class="category-fill" style="width: ${
+             (time / data.totalTime) * 100
+           }%; background: ${getCategoryColor(category)}"></div>
+         </div>
+       </div>
+     `
+       )
+       .join("")}
+   </div>
+
+
    <div class="sites-list">
-     <div class="sites-header">Top Sites</div>
-     ${data.topSites
+     <div class="sites-header">
+       Top Sites
+       <label class="group-toggle">
+         <input type="checkbox" id="groupSubdomains" ${
+           settings.groupSubdomains ? "checked" : ""
+         } />
+         Group subdomains
+       </label>
+     </div>
+     ${data.sites
+       .slice(0, 10) // Top 10 sites
        .map(
          ([domain, stats], index) => `
        <div class="site-item">
@@ -190,11 +213,32 @@ function renderDashboard(data) {
            )}"></div>
            <div>
              <div class="site-name">${domain}</div>
-             <div class="site-visits">${stats.visits} visits</div>
+             <div class="site-visits">
+               ${stats.visits} visits ·
+               <select class="category-select" data-domain="${domain}">
+                 ${Object.keys(CATEGORIES)
+                   .map(
+                     (category) => `
+                   <option ${
+                     category === stats.category ? "selected" : ""
+                   }>${category}</option>
+                 `
+                   )
+                   .join("")}
+               </select>
+               ${
+                 Object.keys(stats.details).length > 0
+                   ? `· <button class="detail-toggle" data-index="${index}">
+                       Pages ▾
+                     </button>`
+                   : ""
+               }
+             </div>
            </div>
          </div>
          <div class="site-time">${formatTime(stats.time)}</div>
        </div>
+       ${renderPageDetails(stats.details, index)}
      `
        )
        .join("")}
@@ -202,29 +246,83 @@ function renderDashboard(data) {
 
 
    <div class="footer">
+     <button class="clear-btn" id="openDashboard">Full Dashboard</button>
      <button class="clear-btn" id="clearData">Clear All Data</button>
    </div>
  `;
 
+  // Expand a site's path or title breakdown
+  document.querySelectorAll(".detail-toggle").forEach((button) => {
+    button.addEventListener("click", () => {
+      const list = document.getElementById(`details-${button.dataset.index}`);
+      list.hidden = !list.hidden;
+    });
+  });
+
+  // Recategorize a domain inline
+  document.querySelectorAll(".category-select").forEach((select) => {
+    select.addEventListener("change", () =>
+      setDomainCategory(select.dataset.domain, select.value)
+    );
+  });
+
+  // Roll subdomains up to their registrable domain
+  document
+    .getElementById("groupSubdomains")
+    .addEventListener("change", async (event) => {
+      await updateSettings({ groupSubdomains: event.target.checked });
+      loadDashboard();
+    });
+
+  document
+    .getElementById("openDashboard")
+    .addEventListener("click", () => chrome.runtime.openOptionsPage());
+
   // Add clear data functionality
   document.getElementById("clearData").addEventListener("click", clearAllData);
 }
 
-// Get color for domain (consistent hashing)
-function getColorForIndex(index) {
-  const colors = [
-    "#667eea",
-    "#f093fb",
-    "#4facfe",
-    "#43e97b",
-    "#fa709a",
-    "#fee140",
-    "#30cfd0",
-    "#a8edea",
-    "#ff6b6b",
-    "#4ecdc4",
-  ];
-  return colors[index % colors.length];
+// Hidden list of a site's top paths or page titles
+function renderPageDetails(details, index) {
+  const entries = Object.entries(details)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10);
+
+  if (entries.length === 0) {
+    return "";
+  }
+
+  return `
+   <div class="page-list" id="details-${index}" hidden>
+     ${entries
+       .map(
+         ([detail, seconds]) => `
+       <div class="page-item">
+         <span class="page-name" title="${escapeHtml(detail)}">${escapeHtml(
+           detail
+         )}</span>
+         <span class="page-time">${formatTime(seconds)}</span>
+       </div>
+     `
+       )
+       .join("")}
+   </div>
+ `;
+}
+
+// Save a category override for a domain
+async function setDomainCategory(domain, category) {
+  const settings = await getSettings();
+  const overrides = { ...settings.categoryOverrides };
+
+  // Drop the override when it just restates the built-in category
+  delete overrides[domain];
+  if (getCategory(domain, overrides) !== category) {
+    overrides[domain] = category;
+  }
+
+  await updateSettings({ categoryOverrides: overrides });
+  loadDashboard();
 }
 
 // Clear all data
@@ -234,16 +332,747 @@ async function clearAllData() {
       "Are you sure you want to clear all tracking data? This cannot be undone."
     )
   ) {
-    await chrome.storage.local.clear();
-    await chrome.storage.local.set({
-      activityData: {},
-      dailyData: {},
-      lastCleanup: Date.now(),
-    });
+    await sendToBackground({ type: "clearData" });
     loadDashboard();
   }
 }
 
+// Load focus view
+async function loadFocus() {
+  try {
+    const settings = await getSettings();
+    const { focusSession, dailyData = {} } = await chrome.storage.local.get([
+      "focusSession",
+      "dailyData",
+    ]);
+    const today = dailyData[getDateKey(Date.now(), settings.dayStartHour)];
+
+    renderFocus(focusSession, settings, today?.focus);
+  } catch (error) {
+    showError();
+  }
+}
+
+// Render the running focus session, or the form to start one
+function renderFocus(session, settings, todayFocus) {
+  const content = document.getElementById("content");
+
+  content.innerHTML = `
+   <div class="settings-panel">
+     <div class="sites-header">Focus Session</div>
+     ${session ? renderFocusTimer(session) : renderFocusForm(settings)}
+     <p class="setting-hint">
+       Today: ${todayFocus?.sessions || 0} focus session(s) completed ·
+       ${formatTime(todayFocus?.seconds || 0)}
+     </p>
+   </div>
+ `;
+
+  if (session) {
+    setupFocusTimer(session);
+  } else {
+    setupFocusForm();
+  }
+}
+
+// Countdown for the current phase and the sites it blocks
+function renderFocusTimer(session) {
+  return `
+   <div class="focus-timer">
+     <div class="focus-phase">${
+       session.phase === "focus" ? "Focusing" : "On a break"
+     }</div>
+     <div class="focus-countdown" id="focusCountdown"></div>
+   </div>
+   <p class="setting-hint">
+     ${
+       session.blockedDomains.length > 0
+         ? `Blocked while focusing: ${escapeHtml(
+             session.blockedDomains.join(", ")
+           )}`
+         : "No sites are blocked."
+     }
+   </p>
+   <div class="button-row">
+     <button class="add-btn" id="stopFocus">Stop session</button>
+   </div>
+ `;
+}
+
+// Tick the countdown and wire up the stop button
+function setupFocusTimer(session) {
+  const countdown = document.getElementById("focusCountdown");
+  const tick = () => {
+    const secondsLeft = Math.max(
+      0,
+      Math.round((session.phaseEndsAt - Date.now()) / 1000)
+    );
+    const minutes = Math.floor(secondsLeft / 60);
+    const seconds = String(secondsLeft % 60).padStart(2, "0");
+    countdown.textContent = `${minutes}:${seconds}`;
+
+    // The background worker has moved on to the next phase
+    if (secondsLeft === 0) {
+      clearInterval(focusCountdown);
+      setTimeout(loadFocus, 1000);
+    }
+  };
+  tick();
+  focusCountdown = setInterval(tick, 1000);
+
+  document.getElementById("stopFocus").addEventListener("click", async () => {
+    await sendToBackground({ type: "stopFocus" });
+    showView("focus");
+  });
+}
+
+// Form with focus and break lengths and the sites to block
+function renderFocusForm(settings) {
+  return `
+   <div class="setting-row">
+     <label for="focusMinutes">Focus for</label>
+     <select id="focusMinutes">
+       ${FOCUS_MINUTES_OPTIONS.map(
+         (minutes) => `
+         <option value="${minutes}" ${
+           minutes === settings.focusMinutes ? "selected" : ""
+         }>${minutes} minutes</option>
+       `
+       ).join("")}
+     </select>
+   </div>
+   <div class="setting-row">
+     <label for="focusBreakMinutes">Then take a break of</label>
+     <select id="focusBreakMinutes">
+       ${BREAK_MINUTES_OPTIONS.map(
+         (minutes) => `
+         <option value="${minutes}" ${
+           minutes === settings.focusBreakMinutes ? "selected" : ""
+         }>${minutes} minutes</option>
+       `
+       ).join("")}
+     </select>
+   </div>
+   <label class="setting-hint" for="focusDomains">
+     Block while focusing (one site per line)
+   </label>
+   <textarea id="focusDomains" class="rules-input" rows="4">${escapeHtml(
+     settings.focusBlockedDomains.join("\n")
+   )}</textarea>
+   <div class="button-row">
+     <button class="add-btn" id="startFocus">Start focus session</button>
+   </div>
+ `;
+}
+
+// Remember the choices and ask the background worker to start the session
+function setupFocusForm() {
+  document.getElementById("startFocus").addEventListener("click", async () => {
+    const focusMinutes = Number(document.getElementById("focusMinutes").value);
+    const breakMinutes = Number(
+      document.getElementById("focusBreakMinutes").value
+    );
+    const blockedDomains = [
+      ...new Set(
+        document
+          .getElementById("focusDomains")
+          .value.split("\n")
+          .map(normalizeDomainInput)
+          .filter(Boolean)
+      ),
+    ];
+
+    await updateSettings({
+      focusMinutes,
+      focusBreakMinutes: breakMinutes,
+      focusBlockedDomains: blockedDomains,
+    });
+    await sendToBackground({
+      type: "startFocus",
+      focusMinutes,
+      breakMinutes,
+      blockedDomains,
+    });
+    showView("focus");
+  });
+}
+
+// Load settings view
+async function loadSettings() {
+  try {
+    const settings = await getSettings();
+    renderSettings(settings);
+  } catch (error) {
+    showError();
+  }
+}
+
+// Render settings view
+function renderSettings(settings) {
+  const content = document.getElementById("content");
+
+  content.innerHTML = `
+   ${renderTrackingSettings(settings)}
+   ${renderLimitSettings(settings)}
+   ${renderPrivacySettings(settings)}
+   ${renderDetailSettings(settings)}
+   ${renderDataSettings(settings)}
+
+
+   <div class="footer">
+     <button class="clear-btn" id="closeSettings">Done</button>
+   </div>
+ `;
+
+  setupTrackingSettings();
+  setupLimitSettings(settings);
+  setupPrivacySettings();
+  setupDetailSettings(settings);
+  setupDataSettings();
+
+  document
+    .getElementById("closeSettings")
+    .addEventListener("click", () => showView("dashboard"));
+}
+
+// Render tracking settings section
+function renderTrackingSettings(settings) {
+  return `
+   <div class="settings-panel">
+     <div class="sites-header">Settings</div>
+     <div class="setting-row">
+       <label for="idleThreshold">Stop counting after idle for</label>
+       <select id="idleThreshold">
+         ${IDLE_THRESHOLD_OPTIONS.map(
+           (seconds) => `
+           <option value="${seconds}" ${
+             seconds === settings.idleThresholdSeconds ? "selected" : ""
+           }>${formatTime(seconds)}</option>
+         `
+         ).join("")}
+       </select>
+     </div>
+     <p class="setting-hint">
+       Tabs playing audio or video keep counting while you are idle.
+     </p>
+     <div class="setting-row">
+       <label for="dayStartHour">New day starts at</label>
+       <select id="dayStartHour">
+         ${DAY_START_OPTIONS.map(
+           (hour) => `
+           <option value="${hour}" ${
+             hour === settings.dayStartHour ? "selected" : ""
+           }>${formatHour(hour)}</option>
+         `
+         ).join("")}
+       </select>
+     </div>
+     <p class="setting-hint">
+       Time before this hour counts toward the previous day.
+     </p>
+     <div class="setting-row">
+       <label for="badgeMode">Toolbar badge</label>
+       <select id="badgeMode">
+         ${BADGE_MODE_OPTIONS.map(
+           ([mode, label]) => `
+           <option value="${mode}" ${
+             mode === settings.badgeMode ? "selected" : ""
+           }>${label}</option>
+         `
+         ).join("")}
+       </select>
+     </div>
+     <p class="setting-hint">
+       Colored by daily limit status, or by category for sites without one.
+     </p>
+     <div class="setting-row">
+       <label for="digestMode">Summary notification</label>
+       <select id="digestMode">
+         ${DIGEST_MODE_OPTIONS.map(
+           ([mode, label]) => `
+           <option value="${mode}" ${
+             mode === settings.digestMode ? "selected" : ""
+           }>${label}</option>
+         `
+         ).join("")}
+       </select>
+     </div>
+     <p class="setting-hint">
+       Total time and top sites compared with the previous day or week.
+     </p>
+   </div>
+ `;
+}
+
+// Setup tracking settings handlers
+function setupTrackingSettings() {
+  document
+    .getElementById("idleThreshold")
+    .addEventListener("change", async (event) => {
+      await updateSettings({
+        idleThresholdSeconds: Number(event.target.value),
+      });
+    });
+
+  document
+    .getElementById("dayStartHour")
+    .addEventListener("change", async (event) => {
+      await updateSettings({ dayStartHour: Number(event.target.value) });
+    });
+
+  document
+    .getElementById("badgeMode")
+    .addEventListener("change", async (event) => {
+      await updateSettings({ badgeMode: event.target.value });
+    });
+
+  document
+    .getElementById("digestMode")
+    .addEventListener("change", async (event) => {
+      await updateSettings({ digestMode: event.target.value });
+    });
+}
+
+// Render daily limits section
+function renderLimitSettings(settings) {
+  return `
+   <div class="settings-panel">
+     <div class="sites-header">Daily Limits</div>
+     ${settings.timeLimits
+       .map(
+         (limit) => `
+       <div class="site-item">
+         <div class="site-details">
+           <div class="site-name">${escapeHtml(limit.name)}</div>
+           <div class="site-visits">${escapeHtml(
+             limit.domains.join(", ")
+           )}</div>
+         </div>
+         <div class="site-time">${formatTime(limit.minutes * 60)}</div>
+         <button class="remove-btn" data-limit-id="${
+           limit.id
+         }" title="Remove limit">×</button>
+       </div>
+     `
+       )
+       .join("")}
+     <form id="limitForm" class="limit-form">
+       <input id="limitDomains" placeholder="youtube.com, netflix.com" required />
+       <input id="limitMinutes" type="number" min="1" placeholder="Min/day" required />
+       <input id="limitName" placeholder="Name (optional)" />
+       <button type="submit" class="add-btn">Add</button>
+     </form>
+     <div class="setting-row">
+       <label for="limitWarningPercent">Warn me at</label>
+       <select id="limitWarningPercent">
+         ${LIMIT_WARNING_OPTIONS.map(
+           (percent) => `
+           <option value="${percent}" ${
+             percent === settings.limitWarningPercent ? "selected" : ""
+           }>${percent}% of a limit</option>
+         `
+         ).join("")}
+       </select>
+     </div>
+   </div>
+ `;
+}
+
+// Setup daily limits handlers
+function setupLimitSettings(settings) {
+  document
+    .getElementById("limitForm")
+    .addEventListener("submit", async (event) => {
+      event.preventDefault();
+
+      const domains = document
+        .getElementById("limitDomains")
+        .value.split(",")
+        .map(normalizeDomainInput)
+        .filter(Boolean);
+      const minutes = Number(document.getElementById("limitMinutes").value);
+      const name =
+        document.getElementById("limitName").value.trim() || domains.join(", ");
+
+      if (domains.length === 0 || !(minutes > 0)) {
+        return;
+      }
+
+      await updateSettings({
+        timeLimits: [
+          ...settings.timeLimits,
+          { id: crypto.randomUUID(), name, domains, minutes },
+        ],
+      });
+      loadSettings();
+    });
+
+  document.querySelectorAll("[data-limit-id]").forEach((button) => {
+    button.addEventListener("click", async () => {
+      await updateSettings({
+        timeLimits: settings.timeLimits.filter(
+          (limit) => limit.id !== button.dataset.limitId
+        ),
+      });
+      loadSettings();
+    });
+  });
+
+  document
+    .getElementById("limitWarningPercent")
+    .addEventListener("change", async (event) => {
+      await updateSettings({
+        limitWarningPercent: Number(event.target.value),
+      });
+    });
+}
+
+// Render exclusion rules and incognito policy section
+function renderPrivacySettings(settings) {
+  return `
+   <div class="settings-panel">
+     <div class="sites-header">Privacy</div>
+     <label class="setting-hint" for="exclusionRules">
+       Never track (one per line): example.com, *.example.com or file://
+     </label>
+     <textarea id="exclusionRules" class="rules-input" rows="5">${escapeHtml(
+       settings.exclusionRules.join("\n")
+     )}</textarea>
+     <div class="setting-row">
+       <label for="excludePrivateHosts">
+         Skip localhost and private network sites
+       </label>
+       <input type="checkbox" id="excludePrivateHosts" ${
+         settings.excludePrivateHosts ? "checked" : ""
+       } />
+     </div>
+     <div class="setting-row">
+       <label for="incognitoPolicy">Incognito tabs</label>
+       <select id="incognitoPolicy">
+         <option value="ignore" ${
+           settings.incognitoPolicy === "ignore" ? "selected" : ""
+         }>Don't track</option>
+         <option value="track" ${
+           settings.incognitoPolicy === "track" ? "selected" : ""
+         }>Track</option>
+       </select>
+     </div>
+     <div class="button-row">
+       <button class="add-btn" id="saveExclusions">Save privacy rules</button>
+     </div>
+     <p class="setting-hint" id="exclusionStatus"></p>
+   </div>
+ `;
+}
+
+// Setup privacy handlers
+function setupPrivacySettings() {
+  document
+    .getElementById("saveExclusions")
+    .addEventListener("click", async () => {
+      const status = document.getElementById("exclusionStatus");
+      const rules = document
+        .getElementById("exclusionRules")
+        .value.split("\n")
+        .map((rule) => rule.trim().toLowerCase())
+        .filter(Boolean);
+
+      const invalid = rules.filter((rule) => !parseExclusionRule(rule));
+      if (invalid.length > 0) {
+        status.textContent = `Not a valid rule: ${invalid.join(", ")}`;
+        return;
+      }
+
+      const settings = await updateSettings({
+        exclusionRules: rules,
+        excludePrivateHosts: document.getElementById("excludePrivateHosts")
+          .checked,
+        incognitoPolicy: document.getElementById("incognitoPolicy").value,
+      });
+      status.textContent = "Saved.";
+
+      await offerPurge(settings);
+    });
+}
+
+// Offer to delete past data for domains the current rules exclude
+async function offerPurge(settings) {
+  const { activityData = {} } = await chrome.storage.local.get("activityData");
+  const excluded = Object.keys(activityData).filter((domain) =>
+    isHostExcluded(domain, settings)
+  );
+
+  if (
+    excluded.length > 0 &&
+    confirm(
+      `${excluded.length} tracked site(s) now match your rules ` +
+        `(${excluded.slice(0, 3).join(", ")}${
+          excluded.length > 3 ? ", …" : ""
+        }). Delete their past data?`
+    )
+  ) {
+    await sendToBackground({
+      type: "purgeDomains",
+      domains: excluded,
+    });
+    document.getElementById(
+      "exclusionStatus"
+    ).textContent = `Deleted data for ${excluded.length} site(s).`;
+  }
+}
+
+// Render per-page detail rules section
+function renderDetailSettings(settings) {
+  return `
+   <div class="settings-panel">
+     <div class="sites-header">Page Details</div>
+     <p class="setting-hint">
+       Break a site's time down by path or page title. Query strings and
+       #fragments are never stored.
+     </p>
+     ${settings.pageDetailRules
+       .map(
+         (rule) => `
+       <div class="site-item">
+         <div class="site-details">
+           <div class="site-name">${escapeHtml(rule.domain)}</div>
+           <div class="site-visits">${
+             rule.mode === "title" ? "By page title" : "By path"
+           }</div>
+         </div>
+         <button class="remove-btn" data-detail-domain="${escapeHtml(
+           rule.domain
+         )}" title="Stop recording pages">×</button>
+       </div>
+     `
+       )
+       .join("")}
+     <form id="detailForm" class="limit-form detail-form">
+       <input id="detailDomain" placeholder="github.com" required />
+       <select id="detailMode">
+         <option value="path">By path</option>
+         <option value="title">By title</option>
+       </select>
+       <button type="submit" class="add-btn">Add</button>
+     </form>
+     <div class="button-row">
+       <button class="add-btn" id="clearDetails">Delete all page details</button>
+     </div>
+   </div>
+ `;
+}
+
+// Setup per-page detail rule handlers
+function setupDetailSettings(settings) {
+  document
+    .getElementById("detailForm")
+    .addEventListener("submit", async (event) => {
+      event.preventDefault();
+
+      const domain = normalizeDomainInput(
+        document.getElementById("detailDomain").value
+      );
+      if (!domain) {
+        return;
+      }
+
+      await updateSettings({
+        pageDetailRules: [
+          ...settings.pageDetailRules.filter((rule) => rule.domain !== domain),
+          { domain, mode: document.getElementById("detailMode").value },
+        ],
+      });
+      loadSettings();
+    });
+
+  document.querySelectorAll("[data-detail-domain]").forEach((button) => {
+    button.addEventListener("click", async () => {
+      const domain = button.dataset.detailDomain;
+
+      await updateSettings({
+        pageDetailRules: settings.pageDetailRules.filter(
+          (rule) => rule.domain !== domain
+        ),
+      });
+      if (confirm(`Also delete the pages recorded for ${domain}?`)) {
+        await sendToBackground({
+          type: "clearPageDetails",
+          domains: [domain],
+        });
+      }
+      loadSettings();
+    });
+  });
+
+  document
+    .getElementById("clearDetails")
+    .addEventListener("click", async () => {
+      if (confirm("Delete every recorded page path and title?")) {
+        await sendToBackground({ type: "clearPageDetails" });
+      }
+    });
+}
+
+// Render export/import section
+function renderDataSettings(settings) {
+  return `
+   <div class="settings-panel">
+     <div class="sites-header">Data</div>
+     <div class="setting-row">
+       <label for="retentionDays">Keep history for</label>
+       <select id="retentionDays">
+         ${RETENTION_OPTIONS.map(
+           ([days, label]) => `
+           <option value="${days}" ${
+             days === settings.retentionDays ? "selected" : ""
+           }>${label}</option>
+         `
+         ).join("")}
+       </select>
+     </div>
+     <p class="setting-hint">
+       Older days are deleted from all tracking data once a day.
+     </p>
+     <p class="setting-hint" id="storageUsage"></p>
+     <div class="setting-row">
+       <label for="syncEnabled">Sync daily totals across devices</label>
+       <input type="checkbox" id="syncEnabled" ${
+         settings.syncEnabled ? "checked" : ""
+       } />
+     </div>
+     <div class="setting-row">
+       <label for="deviceName">This device's name</label>
+       <input id="deviceName" value="${escapeHtml(
+         settings.deviceName
+       )}" maxlength="${MAX_DEVICE_NAME_LENGTH}" placeholder="e.g. Work laptop" />
+     </div>
+     <p class="setting-hint">
+       Shares up to the last 30 days of time per site (no visits, hours or
+       pages) through your browser account. The full dashboard can combine
+       devices.
+     </p>
+     <p class="setting-hint sync-error" id="syncError"></p>
+     <div class="button-row">
+       <button class="add-btn" id="exportJson">Export JSON</button>
+       <button class="add-btn" id="exportCsv">Export CSV</button>
+     </div>
+     <div class="button-row">
+       <button class="add-btn" id="openImport">Import JSON backup</button>
+     </div>
+     <p class="setting-hint">
+       Imports open in the full dashboard, since choosing a file closes this
+       popup.
+     </p>
+   </div>
+ `;
+}
+
+// Setup export/import handlers
+function setupDataSettings() {
+  document
+    .getElementById("retentionDays")
+    .addEventListener("change", async (event) => {
+      const retentionDays = Number(event.target.value);
+      const { retentionDays: current } = await getSettings();
+      const [, label] = RETENTION_OPTIONS.find(
+        ([days]) => days === retentionDays
+      );
+
+      if (
+        retentionDays > 0 &&
+        (current === 0 || retentionDays < current) &&
+        !confirm(`Delete tracking data older than ${label}?`)
+      ) {
+        event.target.value = current;
+        return;
+      }
+
+      // The background worker prunes old data when this setting changes
+      await updateSettings({ retentionDays });
+    });
+
+  showStorageUsage();
+  showSyncError();
+
+  document
+    .getElementById("syncEnabled")
+    .addEventListener("change", async (event) => {
+      await updateSettings({ syncEnabled: event.target.checked });
+    });
+
+  document
+    .getElementById("deviceName")
+    .addEventListener("change", async (event) => {
+      await updateSettings({
+        deviceName: event.target.value.trim().slice(0, MAX_DEVICE_NAME_LENGTH),
+      });
+    });
+
+  document.getElementById("exportJson").addEventListener("click", async () => {
+    const { activityData = {}, dailyData = {} } =
+      await chrome.storage.local.get(["activityData", "dailyData"]);
+    downloadFile(
+      `screen-time-${getDateKey()}.json`,
+      buildJsonExport(activityData, dailyData),
+      "application/json"
+    );
+  });
+
+  document.getElementById("exportCsv").addEventListener("click", async () => {
+    const { dailyData = {} } = await chrome.storage.local.get("dailyData");
+    downloadFile(
+      `screen-time-${getDateKey()}.csv`,
+      buildCsvExport(dailyData),
+      "text/csv"
+    );
+  });
+
+  document.getElementById("openImport").addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("dashboard.html#import") });
+  });
+}
+
+// Show how much of the chrome.storage.local quota is in use
+async function showStorageUsage() {
+  const bytesInUse = await chrome.storage.local.getBytesInUse(null);
+  const quota = chrome.storage.local.QUOTA_BYTES;
+
+  document.getElementById("storageUsage").textContent = `Storage: ${formatBytes(
+    bytesInUse
+  )} of ${formatBytes(quota)} used (${Math.round(
+    (bytesInUse / quota) * 100
+  )}%)`;
+}
+
+// Show the background worker's last sync failure, if sync is still failing
+async function showSyncError() {
+  const { syncError } = await chrome.storage.local.get("syncError");
+  if (!syncError) {
+    return;
+  }
+
+  const time = new Date(syncError.time).toLocaleTimeString();
+  document.getElementById("syncError").textContent =
+    `Last sync failed at ${time} (${syncError.message}). ` +
+    "It is retried every 15 minutes.";
+}
+
+// Turn user input ("https://www.youtube.com/feed") into a bare domain
+function normalizeDomainInput(input) {
+  let value = input.trim().toLowerCase();
+  if (!value) {
+    return null;
+  }
+
+  try {
+    value = new URL(value.includes("://") ? value : `https://${value}`)
+      .hostname;
+  } catch (e) {
+    return null;
+  }
+  return stripWww(value);
+}
+
 // Show error state
 function showError() {
   const content = document.getElementById("content");
@@ -0,0 +1,64 @@
+// Shared settings for the background worker and popup
+// Stored under the "settings" key and merged over these defaults
+
+// Longest device name kept, so a name can't crowd out the synced totals
+const MAX_DEVICE_NAME_LENGTH = 40;
+
+const DEFAULT_SETTINGS = {
+  // Seconds without input before the user is considered idle (min 15)
+  idleThresholdSeconds: 120,
+  // Local hour (0-23) at which a new tracking day begins
+  dayStartHour: 0,
+  // Daily budgets: [{ id, name, domains: ["youtube.com"], minutes }]
+  timeLimits: [],
+  // Percent of a budget at which a warning notification is shown
+  limitWarningPercent: 80,
+  // User category choices: { "hostname or parent domain": "Category" }
+  categoryOverrides: {},
+  // Never tracked: "example.com", "*.example.com" or a scheme like "file://"
+  exclusionRules: [
+    "chrome://",
+    "chrome-extension://",
+    "edge://",
+    "about:",
+    "devtools://",
+    "view-source:",
+    "file://",
+  ],
+  // Skip localhost, private network IPs and single-label intranet hosts
+  excludePrivateHosts: true,
+  // Incognito tabs: "ignore" or "track"
+  incognitoPolicy: "ignore",
+  // Opt-in time per page: [{ domain, mode: "path" | "title" }]
+  pageDetailRules: [],
+  // Roll subdomains up to their registrable domain in the dashboard
+  groupSubdomains: false,
+  // Toolbar badge: "site" (current site today), "total" (today) or "off"
+  badgeMode: "site",
+  // Summary notification: "off", "daily" (evening) or "weekly" (Monday)
+  digestMode: "off",
+  // Publish daily per-site totals to chrome.storage.sync for other devices
+  syncEnabled: false,
+  // Name shown for this device in the dashboard's device filter
+  deviceName: "",
+  // Days of history to keep (0 keeps everything)
+  retentionDays: 90,
+  // Last focus session choices, reused as the popup defaults
+  focusMinutes: 25,
+  focusBreakMinutes: 5,
+  focusBlockedDomains: [],
+};
+
+// Read settings merged over defaults
+async function getSettings() {
+  const result = await chrome.storage.local.get("settings");
+  return { ...DEFAULT_SETTINGS, ...(result.settings || {}) };
+}
+
+// Save a partial settings update
+async function updateSettings(changes) {
+  const settings = await getSettings();
+  const updated = { ...settings, ...changes };
+  await chrome.storage.local.set({ settings: updated });
+  return updated;
+}
@@ -0,0 +1,367 @@
+// Serialized writes for activityData and dailyData
+// Loaded by the background worker. Every mutation of the tracking stores goes
+// through writeQueue, so overlapping event handlers can't overwrite each
+// other's read-modify-write.
+
+let writeQueue = Promise.resolve();
+let pendingDeltas = [];
+
+// Run a storage task after every earlier task has finished
+function runExclusive(task) {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch((error) => {
+    console.error("Storage write failed:", error);
+  });
+  return run;
+}
+
+// Read both tracking stores, let mutate() change them, write them back
+function updateActivityStores(mutate) {
+  return runExclusive(async () => {
+    const result = await chrome.storage.local.get([
+      "activityData",
+      "dailyData",
+    ]);
+    const activityData = result.activityData || {};
+    const dailyData = result.dailyData || {};
+
+    const changed = await mutate(activityData, dailyData);
+    if (changed !== false) {
+      await chrome.storage.local.set({ activityData, dailyData });
+    }
+  });
+}
+
+// Queue tracked time deltas and resolve once they have been written
+// Deltas queued while a write is in flight are batched into one write
+function queueActivity(deltas) {
+  pendingDeltas.push(...deltas);
+
+  return updateActivityStores((activityData, dailyData) => {
+    if (pendingDeltas.length === 0) {
+      // An earlier flush already wrote these deltas
+      return false;
+    }
+
+    const batch = pendingDeltas;
+    pendingDeltas = [];
+    batch.forEach((d) => applyActivityDelta(activityData, dailyData, d));
+  });
+}
+
+// Add one delta ({ domain, dateKey, hour, seconds, visits, detail,
+// timestamp }) to the stores. Time comes from saved sessions, visits from
+// real navigations.
+function applyActivityDelta(activityData, dailyData, delta) {
+  const { domain, dateKey, timestamp } = delta;
+  const seconds = delta.seconds || 0;
+  const visits = delta.visits || 0;
+
+  // Initialize domain data if doesn't exist
+  if (!activityData[domain]) {
+    activityData[domain] = {
+      totalTime: 0,
+      visits: 0,
+      lastVisit: timestamp,
+      dailyBreakdown: {},
+    };
+  }
+
+  // Update total time and visits
+  activityData[domain].totalTime += seconds;
+  activityData[domain].visits += visits;
+  activityData[domain].lastVisit = timestamp;
+
+  // Update daily summary
+  if (!dailyData[dateKey]) {
+    dailyData[dateKey] = {
+      totalTime: 0,
+      domains: {},
+      visits: {},
+      hours: {},
+    };
+  }
+  // Days recorded before visits and hours were tracked per day
+  if (!dailyData[dateKey].visits) {
+    dailyData[dateKey].visits = {};
+  }
+  if (!dailyData[dateKey].hours) {
+    dailyData[dateKey].hours = {};
+  }
+
+  if (seconds > 0) {
+    // Update daily breakdown for this domain
+    if (!activityData[domain].dailyBreakdown[dateKey]) {
+      activityData[domain].dailyBreakdown[dateKey] = 0;
+    }
+    activityData[domain].dailyBreakdown[dateKey] += seconds;
+
+    dailyData[dateKey].totalTime += seconds;
+
+    if (!dailyData[dateKey].domains[domain]) {
+      dailyData[dateKey].domains[domain] = 0;
+    }
+    dailyData[dateKey].domains[domain] += seconds;
+
+    // Update hour-level bucket (local clock hour 0-23)
+    if (delta.hour !== undefined) {
+      if (!dailyData[dateKey].hours[delta.hour]) {
+        dailyData[dateKey].hours[delta.hour] = 0;
+      }
+      dailyData[dateKey].hours[delta.hour] += seconds;
+    }
+
+    // Path prefix or page title time for domains with a detail rule
+    if (delta.detail) {
+      const details = dailyData[dateKey].details || {};
+      const domainDetails = details[domain] || {};
+      domainDetails[delta.detail] =
+        (domainDetails[delta.detail] || 0) + seconds;
+      details[domain] = domainDetails;
+      dailyData[dateKey].details = details;
+    }
+  }
+
+  if (visits > 0) {
+    if (!dailyData[dateKey].visits[domain]) {
+      dailyData[dateKey].visits[domain] = 0;
+    }
+    dailyData[dateKey].visits[domain] += visits;
+  }
+}
+
+// Remove recorded page details for some domains and their subdomains, or
+// for every domain when none are given
+function clearPageDetails(domains = null) {
+  return updateActivityStores((activityData, dailyData) => {
+    for (const dateKey in dailyData) {
+      const day = dailyData[dateKey];
+      if (!day.details) {
+        continue;
+      }
+
+      for (const hostname in day.details) {
+        if (
+          !domains ||
+          domains.some((domain) => domainMatches(hostname, domain))
+        ) {
+          delete day.details[hostname];
+        }
+      }
+      if (Object.keys(day.details).length === 0) {
+        delete day.details;
+      }
+    }
+  });
+}
+
+// Count a finished focus phase in dailyData[dateKey].focus
+function recordFocusSession(dateKey, seconds) {
+  return updateActivityStores((activityData, dailyData) => {
+    if (!dailyData[dateKey]) {
+      dailyData[dateKey] = {
+        totalTime: 0,
+        domains: {},
+        visits: {},
+        hours: {},
+      };
+    }
+
+    const focus = dailyData[dateKey].focus || { sessions: 0, seconds: 0 };
+    focus.sessions += 1;
+    focus.seconds += seconds;
+    dailyData[dateKey].focus = focus;
+  });
+}
+
+// Wipe tracking data, keeping settings
+function clearActivityStores() {
+  return runExclusive(async () => {
+    pendingDeltas = [];
+    await chrome.storage.local.set({
+      activityData: {},
+      dailyData: {},
+      lastCleanup: Date.now(),
+    });
+  });
+}
+
+// Remove every trace of some domains from the tracking stores
+// Hour buckets are not kept per domain, so each day's buckets are scaled
+// down by the share of that day's time that was removed
+function purgeDomains(domains) {
+  return updateActivityStores((activityData, dailyData) => {
+    domains.forEach((domain) => delete activityData[domain]);
+
+    for (const dateKey in dailyData) {
+      const day = dailyData[dateKey];
+      const oldTotal = day.totalTime;
+
+      domains.forEach((domain) => {
+        day.totalTime -= day.domains[domain] || 0;
+        delete day.domains[domain];
+        if (day.visits) {
+          delete day.visits[domain];
+        }
+        if (day.details) {
+          delete day.details[domain];
+        }
+      });
+
+      if (day.hours && oldTotal > 0 && day.totalTime < oldTotal) {
+        const scale = day.totalTime / oldTotal;
+        for (const hour in day.hours) {
+          day.hours[hour] = Math.round(day.hours[hour] * scale);
+        }
+      }
+    }
+  });
+}
+
+// Drop every day before cutoffKey from both tracking stores
+// All-time totals lose the pruned time, and domains with neither time nor
+// visits left inside the retention window are removed entirely
+function pruneActivityStores(cutoffKey) {
+  return updateActivityStores((activityData, dailyData) => {
+    let removedCount = 0;
+    const retainedDomains = new Set();
+
+    for (const dateKey in dailyData) {
+      if (dateKey < cutoffKey) {
+        delete dailyData[dateKey];
+        removedCount++;
+        continue;
+      }
+
+      const day = dailyData[dateKey];
+      Object.keys(day.domains).forEach((domain) => retainedDomains.add(domain));
+      Object.keys(day.visits || {}).forEach((domain) =>
+        retainedDomains.add(domain)
+      );
+    }
+
+    for (const domain in activityData) {
+      const entry = activityData[domain];
+      for (const dateKey in entry.dailyBreakdown) {
+        if (dateKey < cutoffKey) {
+          entry.totalTime = Math.max(
+            0,
+            entry.totalTime - entry.dailyBreakdown[dateKey]
+          );
+          delete entry.dailyBreakdown[dateKey];
+          removedCount++;
+        }
+      }
+      if (
+        Object.keys(entry.dailyBreakdown).length === 0 &&
+        !retainedDomains.has(domain)
+      ) {
+        delete activityData[domain];
+      }
+    }
+
+    return removedCount > 0;
+  });
+}
+
+// Merge imported data into the tracking stores, or replace them
+function importActivityStores(imported, mode) {
+  return updateActivityStores((activityData, dailyData) => {
+    if (mode === "replace") {
+      Object.keys(activityData).forEach((key) => delete activityData[key]);
+      Object.keys(dailyData).forEach((key) => delete dailyData[key]);
+    }
+
+    mergeActivityData(activityData, imported.activityData);
+    mergeDailyData(dailyData, imported.dailyData);
+  });
+}
+
+// Add seconds (or visits) to a map entry
+// Only own keys count, so a key such as "constructor" starts from zero
+// instead of reading Object.prototype
+function addToMap(map, key, amount) {
+  map[key] = (Object.hasOwn(map, key) ? map[key] : 0) + amount;
+}
+
+// Add per-domain totals from source into target
+function mergeActivityData(target, source) {
+  for (const domain in source) {
+    const from = source[domain];
+
+    if (!Object.hasOwn(target, domain)) {
+      target[domain] = {
+        totalTime: 0,
+        visits: 0,
+        lastVisit: 0,
+        dailyBreakdown: {},
+      };
+    }
+
+    const into = target[domain];
+    into.totalTime += from.totalTime;
+    into.visits += from.visits;
+    into.lastVisit = Math.max(into.lastVisit, from.lastVisit);
+
+    for (const dateKey in from.dailyBreakdown) {
+      addToMap(into.dailyBreakdown, dateKey, from.dailyBreakdown[dateKey]);
+    }
+  }
+}
+
+// Add per-day totals from source into target
+function mergeDailyData(target, source) {
+  for (const dateKey in source) {
+    const from = source[dateKey];
+
+    if (!Object.hasOwn(target, dateKey)) {
+      target[dateKey] = {
+        totalTime: 0,
+        domains: {},
+        visits: {},
+        hours: {},
+      };
+    }
+
+    const into = target[dateKey];
+    into.totalTime += from.totalTime;
+
+    for (const domain in from.domains) {
+      addToMap(into.domains, domain, from.domains[domain]);
+    }
+
+    if (!into.visits) {
+      into.visits = {};
+    }
+    for (const domain in from.visits) {
+      addToMap(into.visits, domain, from.visits[domain]);
+    }
+
+    if (!into.hours) {
+      into.hours = {};
+    }
+    for (const hour in from.hours) {
+      addToMap(into.hours, hour, from.hours[hour]);
+    }
+
+    if (from.details) {
+      into.details = into.details || {};
+      for (const domain in from.details) {
+        const domainDetails = Object.hasOwn(into.details, domain)
+          ? into.details[domain]
+          : {};
+        for (const detail in from.details[domain]) {
+          addToMap(domainDetails, detail, from.details[domain][detail]);
+        }
+        into.details[domain] = domainDetails;
+      }
+    }
+
+    if (from.focus) {
+      const focus = into.focus || { sessions: 0, seconds: 0 };
+      focus.sessions += from.focus.sessions;
+      focus.seconds += from.focus.seconds;
+      into.focus = focus;
+    }
+  }
+}
@@ -0,0 +1,219 @@
+// Cross-device sync of daily totals through chrome.storage.sync
+// Shared by the background worker (which publishes this device's totals) and
+// the dashboard (which reads every device). Each device only ever writes its
+// own keys, so devices never overwrite each other, and merged days are sums:
+//   "device:<id>"           { name, updatedAt, chunks }
+//   "totals:<id>:<index>"   one slice of the encoded totals
+// Totals are encoded as "date|domain=seconds,domain=seconds;date|..." so a
+// slice needs no escaping and its size is easy to bound.
+// All devices share chrome.storage.sync's QUOTA_BYTES (102400), so each one
+// stays within SYNC_DEVICE_BUDGET by publishing fewer days, then dropping its
+// smallest per-site totals, when a heavy month would not fit. If even that
+// can't make it fit, publishing fails rather than going over.
+
+// Days of totals published per device, at most and at least before small
+// totals are dropped instead
+const SYNC_DAYS = 30;
+const SYNC_MIN_DAYS = 7;
+// Bytes (keys plus JSON values) one device may use: room for five devices
+// within QUOTA_BYTES
+const SYNC_DEVICE_BUDGET = 20000;
+// Characters per chunk, under QUOTA_BYTES_PER_ITEM (8192) with room for the
+// key and JSON quotes
+const SYNC_CHUNK_SIZE = 7000;
+const SYNC_DEVICE_PREFIX = "device:";
+const SYNC_TOTALS_PREFIX = "totals:";
+
+// Encode per-day, per-domain seconds for the given days
+// Totals of minSeconds or less are left out
+function encodeDailyTotals(dailyData, dateKeys, minSeconds = 0) {
+  return dateKeys
+    .map((dateKey) => {
+      const domains = Object.entries(dailyData[dateKey].domains)
+        .filter(([, seconds]) => seconds > minSeconds)
+        .map(([domain, seconds]) => `${domain}=${Math.round(seconds)}`)
+        .join(",");
+      return `${dateKey}|${domains}`;
+    })
+    .join(";");
+}
+
+// Decode totals into dailyData days ({ totalTime, domains })
+function decodeDailyTotals(text) {
+  const dailyData = {};
+
+  for (const entry of text.split(";").filter(Boolean)) {
+    const [dateKey, domainList = ""] = entry.split("|");
+    const day = { totalTime: 0, domains: {} };
+
+    for (const pair of domainList.split(",").filter(Boolean)) {
+      const [domain, seconds] = pair.split("=");
+      day.domains[domain] = Number(seconds) || 0;
+      day.totalTime += day.domains[domain];
+    }
+    dailyData[dateKey] = day;
+  }
+
+  return dailyData;
+}
+
+// Split encoded totals into quota-sized chunks
+function chunkText(text) {
+  const chunks = [];
+  for (let start = 0; start < text.length; start += SYNC_CHUNK_SIZE) {
+    chunks.push(text.slice(start, start + SYNC_CHUNK_SIZE));
+  }
+  return chunks;
+}
+
+// Get this install's device id, creating it on first use
+async function getDeviceId() {
+  const result = await chrome.storage.local.get("deviceId");
+  if (result.deviceId) {
+    return result.deviceId;
+  }
+
+  const deviceId = crypto.randomUUID();
+  await chrome.storage.local.set({ deviceId });
+  return deviceId;
+}
+
+// Publish this device's recent totals, replacing its previous chunks
+async function publishDailyTotals(dailyData, settings) {
+  const deviceId = await getDeviceId();
+  const today = getDateKey(Date.now(), settings.dayStartHour);
+  const sinceKey = shiftDateKey(today, -(SYNC_DAYS - 1));
+  const dateKeys = Object.keys(dailyData)
+    .filter((dateKey) => dateKey >= sinceKey)
+    .sort();
+
+  // Trim the oldest days, then ever larger small totals, until it fits
+  let minSeconds = 0;
+  let items = buildDeviceItems(
+    deviceId,
+    settings,
+    encodeDailyTotals(dailyData, dateKeys)
+  );
+  while (getSyncBytes(items) > SYNC_DEVICE_BUDGET) {
+    if (dateKeys.length > SYNC_MIN_DAYS) {
+      dateKeys.shift();
+    } else if (minSeconds < getLargestTotal(dailyData, dateKeys)) {
+      minSeconds = Math.max(60, minSeconds * 2);
+    } else {
+      throw new Error("This device's sync data is too large to publish");
+    }
+    items = buildDeviceItems(
+      deviceId,
+      settings,
+      encodeDailyTotals(dailyData, dateKeys, minSeconds)
+    );
+  }
+
+  const staleKeys = (await getDeviceKeys(deviceId)).filter(
+    (key) => !(key in items)
+  );
+  await chrome.storage.sync.set(items);
+  if (staleKeys.length > 0) {
+    await chrome.storage.sync.remove(staleKeys);
+  }
+}
+
+// Largest per-site total on any of the given days
+function getLargestTotal(dailyData, dateKeys) {
+  return Math.max(
+    0,
+    ...dateKeys.flatMap((dateKey) => Object.values(dailyData[dateKey].domains))
+  );
+}
+
+// Sync items holding a device's metadata and encoded totals
+function buildDeviceItems(deviceId, settings, text) {
+  const chunks = chunkText(text);
+  const items = {
+    [`${SYNC_DEVICE_PREFIX}${deviceId}`]: {
+      name: settings.deviceName.slice(0, MAX_DEVICE_NAME_LENGTH),
+      updatedAt: Date.now(),
+      chunks: chunks.length,
+    },
+  };
+  chunks.forEach((chunk, index) => {
+    items[`${SYNC_TOTALS_PREFIX}${deviceId}:${index}`] = chunk;
+  });
+  return items;
+}
+
+// Bytes sync items count against QUOTA_BYTES: each key plus its JSON value
+function getSyncBytes(items) {
+  const encoder = new TextEncoder();
+  return Object.entries(items).reduce(
+    (bytes, [key, value]) =>
+      bytes + encoder.encode(key + JSON.stringify(value)).length,
+    0
+  );
+}
+
+// Remove everything this device has published
+async function unpublishDailyTotals() {
+  const deviceId = await getDeviceId();
+  const keys = await getDeviceKeys(deviceId);
+  if (keys.length > 0) {
+    await chrome.storage.sync.remove(keys);
+  }
+}
+
+// Sync keys currently holding a device's data
+async function getDeviceKeys(deviceId) {
+  const all = await chrome.storage.sync.get(null);
+  return Object.keys(all).filter(
+    (key) =>
+      key === `${SYNC_DEVICE_PREFIX}${deviceId}` ||
+      key.startsWith(`${SYNC_TOTALS_PREFIX}${deviceId}:`)
+  );
+}
+
+// Read every device's published totals
+// Returns [{ id, name, updatedAt, dailyData }]; a device whose chunks are
+// only partly synced yet is skipped rather than shown with missing days
+async function readSyncedDevices() {
+  const all = await chrome.storage.sync.get(null);
+  const devices = [];
+
+  for (const key of Object.keys(all).sort()) {
+    if (!key.startsWith(SYNC_DEVICE_PREFIX)) {
+      continue;
+    }
+
+    const id = key.slice(SYNC_DEVICE_PREFIX.length);
+    const meta = all[key];
+    const chunks = Array.from(
+      { length: meta.chunks },
+      (_, index) => all[`${SYNC_TOTALS_PREFIX}${id}:${index}`]
+    );
+    if (chunks.some((chunk) => typeof chunk !== "string")) {
+      continue;
+    }
+
+    devices.push({
+      id,
+      name: meta.name,
+      updatedAt: meta.updatedAt,
+      dailyData: decodeDailyTotals(chunks.join("")),
+    });
+  }
+
+  return devices;
+}
+
+// Add one device's days into target, summing days both have
+function addDeviceTotals(target, source) {
+  for (const dateKey in source) {
+    const from = source[dateKey];
+    const into = target[dateKey] || { totalTime: 0, domains: {} };
+
+    into.totalTime += from.totalTime;
+    for (const domain in from.domains) {
+      into.domains[domain] = (into.domains[domain] || 0) + from.domains[domain];
+    }
+    target[dateKey] = into;
+  }
+}
@@ -0,0 +1,54 @@
+// Registrable-domain grouping against the bundled Public Suffix List, run with
+// `node --test`
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const vm = require("node:vm");
+
+const context = vm.createContext({});
+["public-suffixes.js", "domains.js"].forEach((file) => {
+  const source = fs.readFileSync(path.join(__dirname, "..", file), "utf8");
+  vm.runInContext(source, context, { filename: file });
+});
+const { getRegistrableDomain } = context;
+
+test("ICANN suffixes keep one label below the suffix", () => {
+  assert.equal(getRegistrableDomain("mail.google.com"), "google.com");
+  assert.equal(getRegistrableDomain("news.bbc.co.uk"), "bbc.co.uk");
+  assert.equal(getRegistrableDomain("www.loja.com.br"), "loja.com.br");
+});
+
+test("private suffixes keep each owner's site apart", () => {
+  assert.equal(getRegistrableDomain("alice.github.io"), "alice.github.io");
+  assert.equal(getRegistrableDomain("docs.bob.github.io"), "bob.github.io");
+  assert.equal(
+    getRegistrableDomain("carol.blogspot.com"),
+    "carol.blogspot.com"
+  );
+  assert.equal(
+    getRegistrableDomain("my-app.herokuapp.com"),
+    "my-app.herokuapp.com"
+  );
+});
+
+test("wildcard and exception rules", () => {
+  assert.equal(getRegistrableDomain("shop.example.ck"), "shop.example.ck");
+  assert.equal(getRegistrableDomain("a.www.ck"), "www.ck");
+  assert.equal(
+    getRegistrableDomain("a.shop.kawasaki.jp"),
+    "a.shop.kawasaki.jp"
+  );
+  assert.equal(
+    getRegistrableDomain("a.b.city.kawasaki.jp"),
+    "city.kawasaki.jp"
+  );
+});
+
+test("suffixes, unlisted TLDs and IP addresses are left alone", () => {
+  assert.equal(getRegistrableDomain("co.uk"), "co.uk");
+  assert.equal(getRegistrableDomain("printer.local"), "printer.local");
+  assert.equal(getRegistrableDomain("192.168.1.10"), "192.168.1.10");
+  assert.equal(getRegistrableDomain("[::1]"), "[::1]");
+});
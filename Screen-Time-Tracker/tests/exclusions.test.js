@@ -0,0 +1,44 @@
+// Exclusion rule matching, run with `node --test`
+// The extension's scripts are plain browser scripts sharing globals, so they
+// are loaded into one context here the way importScripts loads them.
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const vm = require("node:vm");
+
+const context = vm.createContext({ URL });
+["public-suffixes.js", "domains.js", "exclusions.js"].forEach((file) => {
+  const source = fs.readFileSync(path.join(__dirname, "..", file), "utf8");
+  vm.runInContext(source, context, { filename: file });
+});
+const { isHostExcluded, isUrlExcluded } = context;
+
+function settingsWith(rule) {
+  return { exclusionRules: [rule], excludePrivateHosts: false };
+}
+
+// Tracking checks the visited URL; purging checks stored, www-stripped keys
+for (const rule of ["example.com", "www.example.com"]) {
+  test(`"${rule}" blocks tracking on both spellings of the host`, () => {
+    const settings = settingsWith(rule);
+    assert.equal(isUrlExcluded("https://example.com/a", settings), true);
+    assert.equal(isUrlExcluded("https://www.example.com/a", settings), true);
+    assert.equal(isUrlExcluded("https://mail.example.com/", settings), false);
+  });
+
+  test(`"${rule}" matches the stored domain for purging`, () => {
+    const settings = settingsWith(rule);
+    assert.equal(isHostExcluded("example.com", settings), true);
+    assert.equal(isHostExcluded("mail.example.com", settings), false);
+  });
+}
+
+test("wildcard rules cover subdomains other than www", () => {
+  const settings = settingsWith("*.example.com");
+  assert.equal(isUrlExcluded("https://mail.example.com/", settings), true);
+  assert.equal(isUrlExcluded("https://www.example.com/", settings), false);
+  assert.equal(isHostExcluded("mail.example.com", settings), true);
+  assert.equal(isHostExcluded("example.com", settings), false);
+});
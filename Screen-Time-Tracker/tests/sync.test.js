@@ -0,0 +1,88 @@
+// Publishing synced totals within the device budget, run with `node --test`
+// chrome.storage is replaced by in-memory areas for the scripts under test.
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const vm = require("node:vm");
+
+// In-memory stand-in for a chrome.storage area
+function createStorageArea(initial = {}) {
+  const items = { ...initial };
+  return {
+    items,
+    async get(keys) {
+      if (keys === null) {
+        return { ...items };
+      }
+      return Object.fromEntries(
+        []
+          .concat(keys)
+          .filter((key) => key in items)
+          .map((key) => [key, items[key]])
+      );
+    },
+    async set(changes) {
+      Object.assign(items, changes);
+    },
+    async remove(keys) {
+      [].concat(keys).forEach((key) => delete items[key]);
+    },
+  };
+}
+
+// Load the sync scripts with a device id already stored
+function loadSync(deviceId) {
+  const chrome = {
+    storage: {
+      local: createStorageArea({ deviceId }),
+      sync: createStorageArea(),
+    },
+  };
+  const context = vm.createContext({ chrome, TextEncoder });
+  ["settings.js", "dates.js", "sync.js"].forEach((file) => {
+    const source = fs.readFileSync(path.join(__dirname, "..", file), "utf8");
+    vm.runInContext(source, context, { filename: file });
+  });
+  return { context, sync: chrome.storage.sync.items };
+}
+
+// A week of days ending today, each with a few sites
+function buildDailyData(context) {
+  const today = context.getDateKey(Date.now(), 0);
+  const dailyData = {};
+  for (let offset = 0; offset < 7; offset++) {
+    dailyData[context.shiftDateKey(today, -offset)] = {
+      totalTime: 3600,
+      domains: { "example.com": 3000, "news.example.org": 600 },
+    };
+  }
+  return dailyData;
+}
+
+test("a very long device name is capped when publishing", async () => {
+  const { context, sync } = loadSync("device-1");
+  const settings = { dayStartHour: 0, deviceName: "x".repeat(21000) };
+
+  await context.publishDailyTotals(buildDailyData(context), settings);
+
+  const meta = sync["device:device-1"];
+  // Top-level consts aren't properties of the context, so read it by name
+  const maxLength = vm.runInContext("MAX_DEVICE_NAME_LENGTH", context);
+  assert.equal(meta.name.length, maxLength);
+  assert.equal(meta.chunks, 1);
+  assert.match(sync["totals:device-1:0"], /example\.com=3000/);
+});
+
+test("publishing fails once nothing more can be dropped", async () => {
+  // Keys alone are over the budget, whatever is left out of the totals
+  const { context, sync } = loadSync("d".repeat(25000));
+  const settings = { dayStartHour: 0, deviceName: "Laptop" };
+
+  await assert.rejects(
+    context.publishDailyTotals(buildDailyData(context), settings),
+    /too large to publish/
+  );
+  assert.deepEqual(sync, {});
+});
@@ -0,0 +1,62 @@
+// Regenerate public-suffixes.js from the Public Suffix List
+// Usage: node tools/update-public-suffixes.js public_suffix_list.dat
+// The list is at https://publicsuffix.org/list/public_suffix_list.dat. Rules
+// are converted to punycode, since that is how URL() reports hostnames, and
+// grouped by top-level domain to keep the bundled file small.
+
+const fs = require("node:fs");
+const path = require("node:path");
+const url = require("node:url");
+
+const [listFile] = process.argv.slice(2);
+if (!listFile) {
+  console.error("Usage: node tools/update-public-suffixes.js <list file>");
+  process.exit(1);
+}
+
+// Read rules, skipping comments and blank lines
+const rules = fs
+  .readFileSync(listFile, "utf8")
+  .split("\n")
+  .map((line) => line.trim().split(/\s/)[0])
+  .filter((rule) => rule && !rule.startsWith("//"))
+  .map(toAscii);
+
+// Group rules as "tld:prefix,prefix"; an empty prefix is the TLD itself
+const groups = new Map();
+for (const rule of rules) {
+  const labels = rule.split(".");
+  const tld = labels.pop();
+
+  if (!groups.has(tld)) {
+    groups.set(tld, new Set());
+  }
+  groups.get(tld).add(labels.join("."));
+}
+
+const lines = [...groups.keys()].sort().map((tld) => {
+  const prefixes = [...groups.get(tld)].sort();
+  if (prefixes.length === 1 && prefixes[0] === "") {
+    return `  "${tld}",`;
+  }
+  return `  "${tld}:${prefixes.join(",")}",`;
+});
+
+const output = `// Public Suffix List (https://publicsuffix.org/), MPL-2.0
+// Generated by tools/update-public-suffixes.js; do not edit by hand.
+// Each entry is "tld:prefix,prefix" and stands for the rules "prefix.tld";
+// an empty prefix is the TLD itself and an entry without ":" is only the TLD.
+
+const PUBLIC_SUFFIX_GROUPS = [
+${lines.join("\n")}
+];
+`;
+
+fs.writeFileSync(path.join(__dirname, "..", "public-suffixes.js"), output);
+console.log(`Wrote ${rules.length} rules in ${groups.size} groups.`);
+
+// Convert a rule to punycode, keeping its "!" or "*." marker
+function toAscii(rule) {
+  const [, marker, name] = rule.match(/^(!|\*\.)?(.*)$/);
+  return `${marker || ""}${url.domainToASCII(name)}`;
+}
@@ -0,0 +1,180 @@
+// Export and import of tracking data
+// Loaded by the popup for exports and by the dashboard for imports, since a
+// file chooser closes the popup. Exports are versioned JSON backups or a flat
+// CSV for spreadsheets; imports accept the JSON backup format only.
+
+const EXPORT_FORMAT = "screen-time-tracker";
+const EXPORT_VERSION = 1;
+
+// Build a versioned JSON backup
+function buildJsonExport(activityData, dailyData) {
+  const backup = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    activityData,
+    dailyData,
+  };
+  return JSON.stringify(backup, null, 2);
+}
+
+// Build a CSV with one row per date and domain
+function buildCsvExport(dailyData) {
+  const rows = [["date", "domain", "seconds", "visits"]];
+
+  for (const dateKey of Object.keys(dailyData).sort()) {
+    const domains = dailyData[dateKey].domains || {};
+    const visits = dailyData[dateKey].visits || {};
+    for (const domain of Object.keys(domains).sort()) {
+      rows.push([dateKey, domain, domains[domain], visits[domain] || 0]);
+    }
+  }
+
+  return rows.map((row) => row.map(toCsvField).join(",")).join("\n");
+}
+
+// Quote a CSV field when it contains separators or quotes
+function toCsvField(value) {
+  const text = String(value);
+  if (/[",\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Save text as a file through a temporary download link
+function downloadFile(filename, text, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Parse and validate a JSON backup
+// Throws an Error describing the first problem found
+function parseImportFile(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error("File is not valid JSON.");
+  }
+
+  if (!isPlainObject(backup) || backup.format !== EXPORT_FORMAT) {
+    throw new Error("File is not a Screen Time Tracker export.");
+  }
+  if (!Number.isInteger(backup.version) || backup.version > EXPORT_VERSION) {
+    throw new Error(`Unsupported export version: ${backup.version}.`);
+  }
+
+  validateActivityData(backup.activityData);
+  validateDailyData(backup.dailyData);
+
+  return { activityData: backup.activityData, dailyData: backup.dailyData };
+}
+
+// Validate activityData: { domain: { totalTime, visits, lastVisit, dailyBreakdown } }
+function validateActivityData(activityData) {
+  if (!isPlainObject(activityData)) {
+    throw new Error("Missing activityData.");
+  }
+
+  for (const domain in activityData) {
+    const entry = activityData[domain];
+    if (
+      !isDomainKey(domain) ||
+      !isPlainObject(entry) ||
+      !isSeconds(entry.totalTime) ||
+      !isSeconds(entry.visits) ||
+      !isSeconds(entry.lastVisit) ||
+      !isSecondsMap(entry.dailyBreakdown, isDateKey)
+    ) {
+      throw new Error(`Invalid activity entry for ${domain}.`);
+    }
+  }
+}
+
+// Validate dailyData:
+// { "YYYY-MM-DD": { totalTime, domains, visits?, hours?, details?, focus? } }
+function validateDailyData(dailyData) {
+  if (!isPlainObject(dailyData)) {
+    throw new Error("Missing dailyData.");
+  }
+
+  for (const dateKey in dailyData) {
+    const day = dailyData[dateKey];
+    if (
+      !isDateKey(dateKey) ||
+      !isPlainObject(day) ||
+      !isSeconds(day.totalTime) ||
+      !isSecondsMap(day.domains, isDomainKey) ||
+      (day.visits !== undefined && !isSecondsMap(day.visits, isDomainKey)) ||
+      (day.hours !== undefined && !isSecondsMap(day.hours, isHourKey)) ||
+      (day.details !== undefined && !isDetailsMap(day.details)) ||
+      (day.focus !== undefined && !isFocusTotals(day.focus))
+    ) {
+      throw new Error(`Invalid daily entry for ${dateKey}.`);
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isSeconds(value) {
+  return Number.isFinite(value) && value >= 0;
+}
+
+// Check { domain: { detail: seconds } }
+function isDetailsMap(value) {
+  return (
+    isPlainObject(value) &&
+    Object.entries(value).every(
+      ([domain, details]) => isDomainKey(domain) && isSecondsMap(details)
+    )
+  );
+}
+
+function isFocusTotals(value) {
+  return (
+    isPlainObject(value) &&
+    Number.isInteger(value.sessions) &&
+    value.sessions >= 0 &&
+    isSeconds(value.seconds)
+  );
+}
+
+// A hostname as the tracker stores it: lowercase labels of letters, digits,
+// dashes and underscores that start and end with a letter or digit, or a
+// bracketed IPv6 address. Rejects keys such as "__proto__".
+function isDomainKey(key) {
+  if (/^\[[0-9a-f:.]+\]$/.test(key)) {
+    return true;
+  }
+  return key
+    .split(".")
+    .every((label) => /^[a-z0-9]([a-z0-9_-]*[a-z0-9])?$/.test(label));
+}
+
+function isDateKey(key) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(key);
+}
+
+function isHourKey(key) {
+  return /^\d{1,2}$/.test(key) && Number(key) < 24;
+}
+
+// Check an object of { key: seconds }, optionally validating keys
+function isSecondsMap(value, isValidKey = () => true) {
+  return (
+    isPlainObject(value) &&
+    Object.entries(value).every(
+      ([key, seconds]) => isValidKey(key) && isSeconds(seconds)
+    )
+  );
+}
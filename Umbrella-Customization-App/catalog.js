@@ -0,0 +1,178 @@
+// Color catalog
+// Umbrella variants are listed in catalog.json:
+//   { currency, defaultColor, colors: [{ id, name, image,
+//     colors: { background, button, buttonText }, price, available }],
+//     custom: { baseImage, price, available } }
+// "custom" is optional and offers any color by tinting baseImage (see
+// colors.js); its id is reserved.
+// Invalid entries are skipped. Browsers refuse to fetch files from pages
+// opened as file://, so the built-in variants below are used whenever the
+// catalog can't be read or has no valid colors.
+
+const CATALOG_URL = "catalog.json";
+
+const FALLBACK_CATALOG = {
+  currency: "USD",
+  defaultColor: "blue",
+  colors: [
+    {
+      id: "pink",
+      name: "Pink",
+      image: "assets/images/Pink umbrella.png",
+      colors: { background: "#eac9d9", button: "#d72785" },
+    },
+    {
+      id: "blue",
+      name: "Blue",
+      image: "assets/images/Blue umbrella.png",
+      colors: { background: "#a4d9eb", button: "#24b0e3" },
+    },
+    {
+      id: "yellow",
+      name: "Yellow",
+      image: "assets/images/Yello umbrella.png",
+      colors: { background: "#f5f4d3", button: "#fdd142" },
+    },
+  ],
+};
+
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Load and validate the catalog
+// Returns { currency, defaultColor, colors, custom }, where each color is
+// { id, name, imageSrc, backgroundColor, buttonColor, buttonTextColor, price,
+// available } and custom is { baseImageSrc, price } or null
+async function loadColorCatalog() {
+  try {
+    const response = await fetch(CATALOG_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const catalog = normalizeCatalog(await response.json());
+    if (catalog.colors.length > 0) {
+      return catalog;
+    }
+  } catch (error) {
+    // Fall through to the built-in variants
+  }
+
+  return normalizeCatalog(FALLBACK_CATALOG);
+}
+
+// Keep the valid entries and resolve the default color
+function normalizeCatalog(catalog) {
+  catalog = catalog || {};
+  const entries = Array.isArray(catalog.colors) ? catalog.colors : [];
+  const colors = [];
+
+  entries.forEach((entry) => {
+    if (validateCatalogEntry(entry, colors).length > 0) {
+      return;
+    }
+
+    colors.push({
+      id: entry.id,
+      name: entry.name.trim(),
+      imageSrc: entry.image,
+      backgroundColor: entry.colors.background,
+      buttonColor: entry.colors.button,
+      // Button text is white unless the entry picks another color
+      buttonTextColor: entry.colors.buttonText || "#ffffff",
+      price: typeof entry.price === "number" ? entry.price : null,
+      available: entry.available !== false,
+    });
+  });
+
+  // Prefer the catalog's default, then the first color that can be ordered
+  const selectable = colors.filter((color) => color.available);
+  const defaultColor =
+    selectable.find((color) => color.id === catalog.defaultColor) ||
+    selectable[0] ||
+    colors[0];
+
+  return {
+    currency: /^[A-Z]{3}$/.test(catalog.currency) ? catalog.currency : "USD",
+    defaultColor: defaultColor ? defaultColor.id : null,
+    colors,
+    custom: normalizeCustomOption(catalog.custom),
+  };
+}
+
+// Validate the custom color option, or null if it is missing or turned off
+function normalizeCustomOption(custom) {
+  if (!custom || custom.available === false) {
+    return null;
+  }
+  if (typeof custom.baseImage !== "string" || !custom.baseImage) {
+    return null;
+  }
+
+  const validPrice = Number.isFinite(custom.price) && custom.price >= 0;
+  return {
+    baseImageSrc: custom.baseImage,
+    price: validPrice ? custom.price : null,
+  };
+}
+
+// List what is wrong with a catalog entry (empty if it is valid)
+function validateCatalogEntry(entry, accepted) {
+  if (!entry || typeof entry !== "object") {
+    return ["not an object"];
+  }
+
+  const problems = [];
+
+  if (typeof entry.id !== "string" || !/^[a-z0-9-]+$/.test(entry.id)) {
+    problems.push("id must be lowercase letters, digits or dashes");
+  } else if (entry.id === "custom") {
+    problems.push('the id "custom" is reserved for custom colors');
+  } else if (accepted.some((color) => color.id === entry.id)) {
+    problems.push(`duplicate id "${entry.id}"`);
+  }
+  if (typeof entry.name !== "string" || !entry.name.trim()) {
+    problems.push("name is required");
+  }
+  if (typeof entry.image !== "string" || !entry.image) {
+    problems.push("image is required");
+  }
+  if (
+    !entry.colors ||
+    !HEX_COLOR_PATTERN.test(entry.colors.background) ||
+    !HEX_COLOR_PATTERN.test(entry.colors.button)
+  ) {
+    problems.push("colors.background and colors.button must be hex colors");
+  } else if (
+    entry.colors.buttonText !== undefined &&
+    !HEX_COLOR_PATTERN.test(entry.colors.buttonText)
+  ) {
+    problems.push("colors.buttonText must be a hex color");
+  }
+  if (
+    entry.price !== undefined &&
+    !(Number.isFinite(entry.price) && entry.price >= 0)
+  ) {
+    problems.push("price must be a number of zero or more");
+  }
+  if (entry.available !== undefined && typeof entry.available !== "boolean") {
+    problems.push("available must be true or false");
+  }
+
+  return problems;
+}
+
+// Stand-in canopy drawn in a variant's color, used when its photo is missing
+// Matches the photos' size and canopy shape so logo placement still lines up
+function createPlaceholderImage(color) {
+  const svg = [
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1600 1416"',
+    ' width="1600" height="1416">',
+    '<polygon points="420,50 1170,50 1560,700 1170,1370 430,1370 50,700"',
+    ` fill="${color}"/>`,
+    '<path d="M420 50L1170 1370M1170 50L430 1370M50 700H1560"',
+    ' stroke="#000" stroke-opacity="0.15" stroke-width="6"/>',
+    '<circle cx="800" cy="690" r="36" fill="#222"/>',
+    "</svg>",
+  ].join("");
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
@@ -0,0 +1,206 @@
+// Custom colors
+// Any brand color is produced by tinting a base umbrella photo on a canvas.
+// The base should be a desaturated photo so it adds no hue of its own. It is
+// reduced to its brightness, then every pixel is scaled against the canopy's
+// typical brightness: folds darken the color, highlights lighten it towards
+// white. Theme colors for the page are derived from the same color.
+
+// Share of white mixed into the page background. Enough that the page's
+// dark text (#2d2d2d) keeps a 4.5:1 contrast ratio on any color.
+const CUSTOM_BACKGROUND_WHITE = 0.65;
+
+const DARK_TEXT_COLOR = "#2d2d2d";
+const LIGHT_TEXT_COLOR = "#ffffff";
+
+// Brightness data per base image, and tinted images per base and color
+// Tinted images are object URLs, revoked by releaseTintedImages
+const baseShadingCache = new Map();
+const tintedImageCache = new Map();
+
+// "#1E90FF", "1e90ff" or "#19f" to "#1e90ff", or null if it isn't a color
+function normalizeHexColor(value) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+
+  const digits =
+    match[1].length === 3
+      ? match[1].replace(/./g, (digit) => digit + digit)
+      : match[1];
+  return `#${digits.toLowerCase()}`;
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(normalizeHexColor(hex).slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function rgbToHex(rgb) {
+  return `#${rgb
+    .map((channel) => Math.round(channel).toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+// Blend a color towards another by amount (0 keeps the first color)
+function mixColors(hex, otherHex, amount) {
+  const from = hexToRgb(hex);
+  const to = hexToRgb(otherHex);
+  return rgbToHex(
+    from.map((channel, i) => channel + (to[i] - channel) * amount)
+  );
+}
+
+// WCAG relative luminance
+function getRelativeLuminance(hex) {
+  const [r, g, b] = hexToRgb(hex).map((channel) => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function getContrastRatio(hex, otherHex) {
+  const [lighter, darker] = [
+    getRelativeLuminance(hex),
+    getRelativeLuminance(otherHex),
+  ].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// White or dark text, whichever reads better on a background
+function getReadableTextColor(backgroundHex) {
+  return getContrastRatio(backgroundHex, LIGHT_TEXT_COLOR) >=
+    getContrastRatio(backgroundHex, DARK_TEXT_COLOR)
+    ? LIGHT_TEXT_COLOR
+    : DARK_TEXT_COLOR;
+}
+
+// Theme colors for a custom umbrella color
+function createCustomTheme(hex) {
+  return {
+    buttonColor: hex,
+    buttonTextColor: getReadableTextColor(hex),
+    backgroundColor: mixColors(hex, LIGHT_TEXT_COLOR, CUSTOM_BACKGROUND_WHITE),
+  };
+}
+
+// Tint the base image with a color, returning an object URL for the result
+async function getTintedUmbrellaImage(baseSrc, hex) {
+  const key = `${baseSrc}|${hex}`;
+  if (!tintedImageCache.has(key)) {
+    // Cache the promise so thumbnails asking at once share one render
+    tintedImageCache.set(
+      key,
+      renderTintedImage(baseSrc, hex).catch((error) => {
+        tintedImageCache.delete(key);
+        throw error;
+      })
+    );
+  }
+  return tintedImageCache.get(key);
+}
+
+// Revoke a base image's tinted images except for the colors still in use
+function releaseTintedImages(baseSrc, hexesInUse) {
+  const keep = hexesInUse.map((hex) => `${baseSrc}|${hex}`);
+
+  for (const [key, image] of tintedImageCache) {
+    if (key.startsWith(`${baseSrc}|`) && !keep.includes(key)) {
+      tintedImageCache.delete(key);
+      image.then(
+        (url) => URL.revokeObjectURL(url),
+        () => {}
+      );
+    }
+  }
+}
+
+async function renderTintedImage(baseSrc, hex) {
+  const shading = await getBaseShading(baseSrc);
+  const canvas = document.createElement("canvas");
+  canvas.width = shading.width;
+  canvas.height = shading.height;
+
+  const context = canvas.getContext("2d");
+  const output = context.createImageData(shading.width, shading.height);
+  const color = hexToRgb(hex);
+  const { brightness, alpha, reference } = shading;
+
+  for (let i = 0; i < brightness.length; i++) {
+    const value = brightness[i];
+    const offset = i * 4;
+
+    for (let channel = 0; channel < 3; channel++) {
+      const base = color[channel];
+      output.data[offset + channel] =
+        value <= reference
+          ? (base * value) / reference
+          : base + ((255 - base) * (value - reference)) / (255 - reference);
+    }
+    output.data[offset + 3] = alpha[i];
+  }
+
+  context.putImageData(output, 0, 0);
+  const blob = await canvasToBlob(canvas, "png");
+  return URL.createObjectURL(blob);
+}
+
+// Read a base image's per-pixel brightness and the canopy's typical value
+// getImageData throws on pages opened as file://, which callers report
+async function getBaseShading(baseSrc) {
+  if (baseShadingCache.has(baseSrc)) {
+    return baseShadingCache.get(baseSrc);
+  }
+
+  const image = await loadImage(baseSrc);
+  const canvas = document.createElement("canvas");
+  canvas.width = image.naturalWidth;
+  canvas.height = image.naturalHeight;
+
+  const context = canvas.getContext("2d");
+  context.drawImage(image, 0, 0);
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+
+  const pixels = canvas.width * canvas.height;
+  const brightness = new Uint8ClampedArray(pixels);
+  const alpha = new Uint8ClampedArray(pixels);
+  const histogram = new Array(256).fill(0);
+
+  for (let i = 0; i < pixels; i++) {
+    const offset = i * 4;
+    brightness[i] =
+      0.2126 * data[offset] +
+      0.7152 * data[offset + 1] +
+      0.0722 * data[offset + 2];
+    alpha[i] = data[offset + 3];
+    if (alpha[i] > 0) {
+      histogram[brightness[i]]++;
+    }
+  }
+
+  const shading = {
+    width: canvas.width,
+    height: canvas.height,
+    brightness,
+    alpha,
+    reference: getMedian(histogram),
+  };
+  baseShadingCache.set(baseSrc, shading);
+  return shading;
+}
+
+// Median of a 0-255 histogram, kept inside 1-254 so scaling never divides
+// by zero
+function getMedian(histogram) {
+  const total = histogram.reduce((sum, count) => sum + count, 0);
+  let seen = 0;
+
+  for (let value = 0; value < histogram.length; value++) {
+    seen += histogram[value];
+    if (seen * 2 >= total) {
+      return Math.min(254, Math.max(1, value));
+    }
+  }
+  return 128;
+}
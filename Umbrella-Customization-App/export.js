@@ -0,0 +1,116 @@
+// Mockup export
+// Composites the umbrella and its layers on a canvas using the same
+// placement as the preview (see updateLayerElement in layers.js), so the
+// download matches what is on screen at any output size.
+
+const MOCKUP_FORMATS = {
+  png: { type: "image/png", extension: "png" },
+  jpeg: { type: "image/jpeg", extension: "jpg", quality: 0.92 },
+};
+
+// JPEG has no transparency, so the mockup sits on white
+const MOCKUP_JPEG_BACKGROUND = "#ffffff";
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Could not load ${src}`));
+    image.src = src;
+  });
+}
+
+// Draw the mockup at the given width (null for the umbrella's own size)
+// Visible layers are drawn bottom first, like the preview
+async function renderMockup(imageSrc, layers, width, format) {
+  const umbrella = await loadImage(imageSrc);
+  const visibleLayers = layers.filter((layer) => !layer.hidden);
+  const images = await Promise.all(
+    visibleLayers.map((layer) =>
+      layer.type === "image" ? loadImage(layer.src) : null
+    )
+  );
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width || umbrella.naturalWidth;
+  canvas.height = Math.round(
+    (canvas.width * umbrella.naturalHeight) / umbrella.naturalWidth
+  );
+
+  const context = canvas.getContext("2d");
+  context.imageSmoothingQuality = "high";
+  if (format === "jpeg") {
+    context.fillStyle = MOCKUP_JPEG_BACKGROUND;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  context.drawImage(umbrella, 0, 0, canvas.width, canvas.height);
+
+  visibleLayers.forEach((layer, index) => {
+    const { x, y, rotation } = layer.transform;
+
+    context.save();
+    context.translate(x * canvas.width, y * canvas.height);
+    context.rotate((rotation * Math.PI) / 180);
+    if (layer.type === "image") {
+      drawImageLayer(context, images[index], layer, canvas.width);
+    } else {
+      drawTextLayer(context, layer, canvas.width);
+    }
+    context.restore();
+  });
+
+  return canvas;
+}
+
+// Draw an image layer centered on the context's origin
+function drawImageLayer(context, image, layer, canvasWidth) {
+  const imageWidth = layer.transform.scale * canvasWidth;
+  const imageHeight = (imageWidth * image.naturalHeight) / image.naturalWidth;
+
+  context.drawImage(
+    image,
+    -imageWidth / 2,
+    -imageHeight / 2,
+    imageWidth,
+    imageHeight
+  );
+}
+
+// Draw a text layer centered on the context's origin
+function drawTextLayer(context, layer, canvasWidth) {
+  const fontSize = (layer.size * canvasWidth) / TEXT_SIZE_REFERENCE_WIDTH;
+
+  context.font = `${fontSize}px ${layer.font}`;
+  context.fillStyle = layer.color;
+  context.textAlign = "center";
+  context.textBaseline = "middle";
+  context.fillText(layer.text, 0, 0);
+}
+
+// Encode a canvas in one of MOCKUP_FORMATS
+function canvasToBlob(canvas, format) {
+  const { type, quality } = MOCKUP_FORMATS[format];
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Empty image"))),
+      type,
+      quality
+    );
+  });
+}
+
+// Save a blob through a temporary download link
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -1,63 +1,160 @@
-// Get computed styles from CSS custom properties
-const root = getComputedStyle(document.documentElement);
-
-// Configuration object for each umbrella color
-// Contains theme class, image path, and button color for each variant
-const umbrellaConfig = {
-  pink: {
-    theme: "theme-pink",
-    imageSrc: "assets/images/Pink umbrella.png",
-    buttonColor: root.getPropertyValue("--pink-btn").trim(),
-  },
-  blue: {
-    theme: "theme-blue",
-    imageSrc: "assets/images/Blue umbrella.png",
-    buttonColor: root.getPropertyValue("--blue-btn").trim(),
-  },
-  yellow: {
-    theme: "theme-yellow",
-    imageSrc: "assets/images/Yello umbrella.png",
-    buttonColor: root.getPropertyValue("--yellow-btn").trim(),
-  },
-};
+// Configuration object for each umbrella color, filled from the color
+// catalog at startup (see catalog.js)
+// Contains name, image path, theme colors, price and availability. A chosen
+// custom color is added under "custom" with its hex code (see colors.js).
+const umbrellaConfig = {};
+
+// Currency of catalog prices
+let catalogCurrency = "USD";
+
+// The catalog's custom color option ({ baseImageSrc, price }), if offered
+let customColorOption = null;
+
+// Layer placement on the preview (see layers.js for the layer model)
+// x and y are the layer's center and scale is an image's width, all as
+// fractions of the umbrella image; rotation is in degrees. Images start on
+// the bottom panel, where the logo was shown before it could be moved, and
+// text starts just below them.
+const DEFAULT_LAYER_TRANSFORM = { x: 0.5, y: 0.81, scale: 0.1, rotation: 0 };
+const DEFAULT_TEXT_TRANSFORM = { ...DEFAULT_LAYER_TRANSFORM, y: 0.88 };
+
+const LAYER_SCALE_LIMITS = { min: 0.04, max: 0.4 };
+
+// Points layers snap to while dragged: the canopy center, then the middle
+// of each of the six panels
+const LAYER_SNAP_POINTS = [
+  { x: 0.5, y: 0.487 },
+  { x: 0.5, y: 0.186 },
+  { x: 0.735, y: 0.339 },
+  { x: 0.735, y: 0.65 },
+  { x: 0.5, y: 0.807 },
+  { x: 0.267, y: 0.65 },
+  { x: 0.264, y: 0.339 },
+];
+const LAYER_SNAP_DISTANCE = 0.025;
+const LAYER_ROTATION_SNAP = 45;
+const LAYER_ROTATION_SNAP_DISTANCE = 4;
+
+// Printable area: the hexagonal canopy, inset from its edge, clockwise from
+// the top left corner
+const PRINTABLE_AREA = [
+  { x: 0.29, y: 0.08 },
+  { x: 0.71, y: 0.08 },
+  { x: 0.93, y: 0.49 },
+  { x: 0.71, y: 0.92 },
+  { x: 0.29, y: 0.92 },
+  { x: 0.07, y: 0.49 },
+];
 
 // Application state
-// Tracks current color selection, uploaded logo data, and filename
+// Tracks current color selection and the layers drawn over the umbrella
+// (bottom first), plus the layer being edited
+// activeDesignId is the saved design last saved or loaded, if any
 const state = {
-  currentColor: "blue",
-  uploadedLogo: null,
-  uploadedFileName: "",
+  currentColor: null,
+  layers: [],
+  selectedLayerId: null,
+  activeDesignId: null,
 };
 
+// Pointer gesture in progress on a layer, if any
+let layerGesture = null;
+
 // DOM element references
 const domElements = {
   body: document.body,
   umbrellaImage: document.getElementById("umbrellaImage"),
   loaderOverlay: document.getElementById("loaderOverlay"),
   loaderIcon: document.querySelector("#loaderIcon path"),
-  colorSwatches: document.querySelectorAll(".color-swatch"),
+  swatchContainer: document.getElementById("colorSwatches"),
+  colorSwatches: [],
+  colorDetails: document.getElementById("colorDetails"),
+  customColor: document.getElementById("customColor"),
+  customColorPicker: document.getElementById("customColorPicker"),
+  customColorHex: document.getElementById("customColorHex"),
   uploadButton: document.getElementById("uploadButton"),
   fileInput: document.getElementById("fileInput"),
   fileDisplay: document.getElementById("fileDisplay"),
   fileName: document.getElementById("fileName"),
-  removeButton: document.getElementById("removeButton"),
-  logoOverlay: document.getElementById("logoOverlay"),
-  logoPreview: document.getElementById("logoPreview"),
+  addTextButton: document.getElementById("addTextButton"),
+  layerStack: document.getElementById("layerStack"),
+  layerList: document.getElementById("layerList"),
+  layersEmpty: document.getElementById("layersEmpty"),
+  textEditor: document.getElementById("textEditor"),
+  textLayerText: document.getElementById("textLayerText"),
+  textLayerFont: document.getElementById("textLayerFont"),
+  textLayerSize: document.getElementById("textLayerSize"),
+  textLayerColor: document.getElementById("textLayerColor"),
   //   logoAnnotation: document.getElementById("logoAnnotation"),
+  umbrellaContainer: document.querySelector(".umbrella-container"),
+  snapGuide: document.getElementById("snapGuide"),
   errorMessage: document.getElementById("errorMessage"),
+  exportFormat: document.getElementById("exportFormat"),
+  exportSize: document.getElementById("exportSize"),
+  exportButton: document.getElementById("exportButton"),
+  designForm: document.getElementById("designForm"),
+  designNameInput: document.getElementById("designName"),
+  designGallery: document.getElementById("designGallery"),
+  designsEmpty: document.getElementById("designsEmpty"),
 };
 
 // Initialize the application
-function init() {
+async function init() {
+  const catalog = await loadColorCatalog();
+  catalog.colors.forEach((color) => {
+    umbrellaConfig[color.id] = color;
+  });
+  catalogCurrency = catalog.currency;
+  customColorOption = catalog.custom;
+  state.currentColor = catalog.defaultColor;
+
+  domElements.customColor.hidden = !customColorOption;
+  LAYER_FONTS.forEach(([family, label]) => {
+    domElements.textLayerFont.add(new Option(label, family));
+  });
+
   setupEventListeners();
+  renderColorSwatches();
+  updateTheme();
+  showUmbrellaLoader();
+  loadUmbrellaImage();
   updateUI();
+  renderDesignGallery();
 }
 
-function setupEventListeners() {
-  // Color swatch click handlers
-  domElements.colorSwatches.forEach((swatch) => {
+// Create a swatch button for every catalog color
+// Colors that are out of stock are shown but can't be picked
+function renderColorSwatches() {
+  domElements.swatchContainer.innerHTML = "";
+
+  Object.entries(umbrellaConfig).forEach(([id, config]) => {
+    const swatch = document.createElement("button");
+    const label = config.available
+      ? `${config.name} umbrella`
+      : `${config.name} umbrella (out of stock)`;
+
+    swatch.className = "color-swatch";
+    swatch.classList.toggle("active", id === state.currentColor);
+    swatch.setAttribute("data-color", id);
+    swatch.setAttribute("aria-label", label);
+    swatch.title = label;
+    swatch.style.backgroundColor = config.buttonColor;
+    swatch.disabled = !config.available;
     swatch.addEventListener("click", handleColorChange);
+
+    domElements.swatchContainer.appendChild(swatch);
+  });
+
+  domElements.colorSwatches =
+    domElements.swatchContainer.querySelectorAll(".color-swatch");
+}
+
+function setupEventListeners() {
+  // Custom color picker and hex input handlers
+  domElements.customColorPicker.addEventListener("change", () => {
+    selectCustomColor(domElements.customColorPicker.value);
   });
+  domElements.customColorHex.addEventListener("change", handleCustomHexInput);
 
   // Upload button triggers file input
   domElements.uploadButton.addEventListener("click", () => {
@@ -67,8 +164,35 @@ function setupEventListeners() {
   // File input change handler
   domElements.fileInput.addEventListener("change", handleFileUpload);
 
-  // Remove button click handler
-  domElements.removeButton.addEventListener("click", handleLogoRemove);
+  // Add text button handler
+  domElements.addTextButton.addEventListener("click", handleTextLayerAdd);
+
+  // Layer placement: drag, resize and rotate handles plus keyboard nudging
+  // Layers come and go, so their events are handled on the stack
+  const stack = domElements.layerStack;
+  stack.addEventListener("pointerdown", handleLayerPointerDown);
+  stack.addEventListener("pointermove", handleLayerPointerMove);
+  stack.addEventListener("pointerup", handleLayerPointerUp);
+  stack.addEventListener("pointercancel", handleLayerPointerUp);
+  stack.addEventListener("keydown", handleLayerKeydown);
+  stack.addEventListener("focusin", (event) => {
+    const element = event.target.closest(".layer");
+    if (element) {
+      selectLayer(element.dataset.layerId);
+    }
+  });
+
+  // Text layer editor handlers
+  domElements.textLayerText.addEventListener("input", handleTextLayerEdit);
+  domElements.textLayerFont.addEventListener("change", handleTextLayerEdit);
+  domElements.textLayerSize.addEventListener("change", handleTextLayerEdit);
+  domElements.textLayerColor.addEventListener("input", handleTextLayerEdit);
+
+  // Mockup download button handler
+  domElements.exportButton.addEventListener("click", handleMockupExport);
+
+  // Save design form submit handler
+  domElements.designForm.addEventListener("submit", handleDesignSave);
 }
 
 // Handle color swatch selection
@@ -80,15 +204,14 @@ function handleColorChange(event) {
     return;
   }
 
-  // Update current color in state
-  state.currentColor = selectedColor;
-
-  // Get configuration for selected color
+  // Ignore colors missing from the catalog or out of stock
   const config = umbrellaConfig[selectedColor];
+  if (!config || !config.available) {
+    return;
+  }
 
-  domElements.uploadButton.style.backgroundColor = config.buttonColor;
-  domElements.fileDisplay.style.backgroundColor = config.buttonColor;
-  domElements.loaderIcon.style.fill = config.buttonColor;
+  // Update current color in state
+  state.currentColor = selectedColor;
 
   // Update active state on color swatches
   domElements.colorSwatches.forEach((swatch) => {
@@ -104,36 +227,143 @@ function handleColorChange(event) {
 function updateTheme() {
   const config = umbrellaConfig[state.currentColor];
 
-  domElements.body.className = "";
+  domElements.body.style.setProperty(
+    "--theme-background",
+    config.backgroundColor
+  );
+  domElements.body.style.setProperty("--theme-button", config.buttonColor);
+  domElements.body.style.setProperty(
+    "--theme-button-text",
+    config.buttonTextColor
+  );
+
+  domElements.uploadButton.style.backgroundColor = config.buttonColor;
+  domElements.fileDisplay.style.backgroundColor = config.buttonColor;
+  domElements.loaderIcon.style.fill = config.buttonColor;
+
+  domElements.colorDetails.textContent =
+    config.price === null
+      ? config.name
+      : `${config.name} · ${formatPrice(config.price)}`;
+}
+
+function formatPrice(price) {
+  return new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency: catalogCurrency,
+  }).format(price);
+}
+
+// Tint the base umbrella with a custom color and select it
+// Goes through handleColorChange like a swatch click; when custom is already
+// selected it reruns the same theme and image updates for the new color
+async function selectCustomColor(value) {
+  const hex = normalizeHexColor(value);
+  if (!hex || !customColorOption) {
+    return;
+  }
+
+  hideError();
+  showUmbrellaLoader();
+
+  const { baseImageSrc, price } = customColorOption;
+  let imageSrc;
+  try {
+    imageSrc = await getTintedUmbrellaImage(baseImageSrc, hex);
+  } catch (error) {
+    hideUmbrellaLoader();
+    // Browsers refuse to read canvas pixels on pages opened as file://
+    showError(
+      "Could not create this color. If the app was opened as a file, " +
+        "serve it from a web server instead."
+    );
+    return;
+  }
+
+  umbrellaConfig.custom = {
+    id: "custom",
+    name: `Custom ${hex}`,
+    hex,
+    imageSrc,
+    ...createCustomTheme(hex),
+    price,
+    available: true,
+  };
+  releaseUnusedTints();
+  domElements.customColorPicker.value = hex;
+  domElements.customColorHex.value = hex;
+  renderColorSwatches();
+
+  if (state.currentColor === "custom") {
+    updateTheme();
+    updateUmbrellaImage();
+  } else {
+    handleColorChange({
+      currentTarget: domElements.swatchContainer.querySelector(
+        '[data-color="custom"]'
+      ),
+    });
+  }
+}
+
+// Apply a typed hex code, or explain the expected format
+function handleCustomHexInput() {
+  const hex = normalizeHexColor(domElements.customColorHex.value);
 
-  domElements.body.classList.add(config.theme);
+  if (!hex) {
+    showError("Enter a hex color such as #1e90ff.");
+    return;
+  }
+  selectCustomColor(hex);
 }
 
 // Update the umbrella image with loading animation
 function updateUmbrellaImage() {
-  const config = umbrellaConfig[state.currentColor];
-
   showUmbrellaLoader();
 
   // Simulate loading delay for better UX (800ms)
-  setTimeout(() => {
-    domElements.umbrellaImage.src = config.imageSrc;
+  setTimeout(loadUmbrellaImage, 800);
+}
 
-    domElements.umbrellaImage.onload = () => {
-      hideUmbrellaLoader();
-    };
+// Load the current color's image into the preview
+function loadUmbrellaImage() {
+  const config = umbrellaConfig[state.currentColor];
 
-    domElements.umbrellaImage.onerror = () => {
-      hideUmbrellaLoader();
-    };
-  }, 800);
+  domElements.umbrellaImage.onload = () => {
+    hideUmbrellaLoader();
+  };
+
+  domElements.umbrellaImage.onerror = () => {
+    handleUmbrellaImageError(config);
+  };
+
+  domElements.umbrellaImage.src = config.imageSrc;
+}
+
+// Fall back to a drawn canopy in the variant's color when its photo fails,
+// and keep using it (for previews, thumbnails and mockups) from then on
+function handleUmbrellaImageError(config) {
+  const placeholder = createPlaceholderImage(config.buttonColor);
+
+  if (config.imageSrc === placeholder) {
+    hideUmbrellaLoader();
+    return;
+  }
+
+  showError(
+    `The ${config.name} umbrella photo could not be loaded, so a drawing is shown instead.`
+  );
+  config.imageSrc = placeholder;
+  if (config === umbrellaConfig[state.currentColor]) {
+    loadUmbrellaImage();
+  }
 }
 
 // Show loading overlay on umbrella preview
 function showUmbrellaLoader() {
   domElements.umbrellaImage.classList.add("hidden");
   domElements.loaderOverlay.classList.add("visible");
-  domElements.logoOverlay.classList.remove("visible");
+  domElements.layerStack.classList.remove("visible");
   //   domElements.logoAnnotation.classList.add("hidden");
 }
 
@@ -141,12 +371,7 @@ function showUmbrellaLoader() {
 function hideUmbrellaLoader() {
   domElements.umbrellaImage.classList.remove("hidden");
   domElements.loaderOverlay.classList.remove("visible");
-
-  if (state.uploadedLogo) {
-    domElements.logoOverlay.classList.add("visible");
-  } else {
-    // domElements.logoAnnotation.classList.remove("hidden");
-  }
+  domElements.layerStack.classList.add("visible");
 }
 
 // Handle file upload from file input
@@ -181,13 +406,19 @@ function handleFileUpload(event) {
   const reader = new FileReader();
 
   reader.onload = function (e) {
-    // Store logo data in state
-    state.uploadedLogo = e.target.result;
-    state.uploadedFileName = file.name;
+    // Add the logo as a new top layer
+    const layer = createImageLayer(
+      e.target.result,
+      file.name,
+      DEFAULT_LAYER_TRANSFORM
+    );
+    state.layers.push(layer);
+    state.selectedLayerId = layer.id;
+    domElements.fileInput.value = "";
 
     // Simulate processing delay for better UX (600ms)
     setTimeout(() => {
-      displayLogo();
+      updateUI();
       hideLoading();
       hideUmbrellaLoader();
     }, 600);
@@ -204,43 +435,625 @@ function handleFileUpload(event) {
   reader.readAsDataURL(file);
 }
 
-// Display uploaded logo on umbrella
-function displayLogo() {
-  domElements.logoPreview.src = state.uploadedLogo;
+// Add a text layer on top and select it for editing
+function handleTextLayerAdd() {
+  const layer = createTextLayer(DEFAULT_TEXT_TRANSFORM, LIGHT_TEXT_COLOR);
+  state.layers.push(layer);
+  state.selectedLayerId = layer.id;
 
-  domElements.logoOverlay.classList.add("visible");
-  //   domElements.logoAnnotation.classList.add("hidden");
+  updateUI();
+  fitLayer(layer);
+  domElements.textLayerText.focus();
+  domElements.textLayerText.select();
+}
 
-  domElements.fileName.textContent = state.uploadedFileName.toUpperCase();
-  domElements.fileDisplay.style.backgroundColor =
-    umbrellaConfig[state.currentColor].buttonColor; // Add this line
+// Apply the text editor's fields to the selected text layer
+function handleTextLayerEdit() {
+  const layer = getSelectedLayer();
+  if (!layer || layer.type !== "text") {
+    return;
+  }
+
+  const size = Number(domElements.textLayerSize.value);
+  layer.text = domElements.textLayerText.value;
+  layer.font = domElements.textLayerFont.value;
+  layer.color = domElements.textLayerColor.value;
+  if (Number.isFinite(size) && domElements.textLayerSize.value !== "") {
+    layer.size = clampTextSize(size);
+  }
+
+  updateLayer(layer);
+  fitLayer(layer);
+  renderLayerPanel();
 }
 
-// Handle logo removal
-function handleLogoRemove() {
-  state.uploadedLogo = null;
-  state.uploadedFileName = "";
+function findLayer(id) {
+  return state.layers.find((layer) => layer.id === id);
+}
 
-  domElements.fileInput.value = "";
+function getSelectedLayer() {
+  return findLayer(state.selectedLayerId);
+}
+
+// The preview element showing a layer, if it has been rendered
+function getLayerElement(layer) {
+  return domElements.layerStack.querySelector(
+    `.layer[data-layer-id="${layer.id}"]`
+  );
+}
 
+function selectLayer(id) {
+  if (id === state.selectedLayerId) {
+    return;
+  }
+
+  state.selectedLayerId = id;
+  updateUI();
+}
+
+// Move a layer up (towards the front) or down the stack
+function moveLayer(id, offset) {
+  const index = state.layers.findIndex((layer) => layer.id === id);
+  const target = index + offset;
+  if (index < 0 || target < 0 || target >= state.layers.length) {
+    return;
+  }
+
+  const [layer] = state.layers.splice(index, 1);
+  state.layers.splice(target, 0, layer);
+  updateUI();
+}
+
+function toggleLayerHidden(id) {
+  const layer = findLayer(id);
+  layer.hidden = !layer.hidden;
+  updateUI();
+}
+
+// Remove a layer, selecting the new top layer if it was selected
+function deleteLayer(id) {
+  state.layers = state.layers.filter((layer) => layer.id !== id);
+
+  if (state.selectedLayerId === id) {
+    const top = state.layers[state.layers.length - 1];
+    state.selectedLayerId = top ? top.id : null;
+  }
   updateUI();
   hideError();
 }
 
+// Sync the preview's layer elements with state.layers
+// Existing elements are kept, so images don't reload and focus isn't lost
+function renderLayers() {
+  const stack = domElements.layerStack;
+  const elements = new Map();
+  stack.querySelectorAll(".layer").forEach((element) => {
+    elements.set(element.dataset.layerId, element);
+  });
+
+  state.layers.forEach((layer, index) => {
+    const element = elements.get(layer.id) || createPreviewLayer(layer);
+    elements.delete(layer.id);
+
+    updateLayerElement(element, layer);
+    element.hidden = layer.hidden;
+    element.classList.toggle("selected", layer.id === state.selectedLayerId);
+    element.setAttribute("aria-label", getLayerAriaLabel(layer));
+
+    if (stack.children[index] !== element) {
+      stack.insertBefore(element, stack.children[index] || null);
+    }
+  });
+
+  elements.forEach((element) => element.remove());
+}
+
+// Build a layer element for the preview, with resize and rotate handles
+// Drag to move; corner handle resizes, top handle rotates
+function createPreviewLayer(layer) {
+  const element = createLayerElement(layer);
+  element.tabIndex = 0;
+  element.setAttribute("role", "group");
+
+  if (layer.type === "image") {
+    const image = element.querySelector("img");
+    // Fit the layer once its real proportions are known
+    image.addEventListener("load", () => {
+      const current = findLayer(layer.id);
+      if (current) {
+        fitLayer(current);
+      }
+    });
+    image.src = layer.src;
+  }
+
+  ["rotate", "resize"].forEach((handle) => {
+    const span = document.createElement("span");
+    span.className = `layer-handle ${handle}-handle`;
+    span.dataset.handle = handle;
+    span.setAttribute("aria-hidden", "true");
+    element.appendChild(span);
+  });
+
+  return element;
+}
+
+function getLayerAriaLabel(layer) {
+  const resize = layer.type === "text" ? "change the text size" : "resize";
+  return (
+    `${getLayerLabel(layer)}. Arrow keys move, plus and minus ${resize}, ` +
+    "square brackets rotate. Hold Shift for bigger steps."
+  );
+}
+
+// Redraw one layer's preview element after its placement or text changes
+function updateLayer(layer) {
+  const element = getLayerElement(layer);
+  if (element) {
+    updateLayerElement(element, layer);
+    element.setAttribute("aria-label", getLayerAriaLabel(layer));
+  }
+
+  if (layer.id === state.selectedLayerId && layer.type === "text") {
+    domElements.textLayerSize.value = layer.size;
+  }
+}
+
+// Render the layer panel, top layer first
+function renderLayerPanel() {
+  domElements.layerList.innerHTML = "";
+  domElements.layersEmpty.classList.toggle("hidden", state.layers.length > 0);
+
+  state.layers
+    .map((layer, index) => ({ layer, index }))
+    .reverse()
+    .forEach(({ layer, index }) => {
+      domElements.layerList.appendChild(createLayerItem(layer, index));
+    });
+}
+
+// Build one layer panel row: a button that selects the layer, plus actions
+function createLayerItem(layer, index) {
+  const item = document.createElement("li");
+  item.className = "layer-item";
+  item.classList.toggle("active", layer.id === state.selectedLayerId);
+  item.classList.toggle("hidden-layer", layer.hidden);
+
+  const label = getLayerLabel(layer);
+  const name = document.createElement("button");
+  name.type = "button";
+  name.className = "layer-name";
+  name.textContent = `${layer.type === "text" ? "T" : "▣"} ${label}`;
+  name.title = label;
+  name.setAttribute("aria-pressed", String(layer.id === state.selectedLayerId));
+  name.addEventListener("click", () => selectLayer(layer.id));
+
+  const actions = document.createElement("div");
+  actions.className = "layer-actions";
+  [
+    ["Up", () => moveLayer(layer.id, 1), index === state.layers.length - 1],
+    ["Down", () => moveLayer(layer.id, -1), index === 0],
+    [layer.hidden ? "Show" : "Hide", () => toggleLayerHidden(layer.id)],
+    ["Delete", () => deleteLayer(layer.id)],
+  ].forEach(([label, handler, disabled]) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = label;
+    button.disabled = Boolean(disabled);
+    button.addEventListener("click", handler);
+    actions.appendChild(button);
+  });
+
+  item.append(name, actions);
+  return item;
+}
+
+// Show the text editor with the selected layer's values, if it is text
+function syncTextEditor() {
+  const layer = getSelectedLayer();
+  const isText = Boolean(layer) && layer.type === "text";
+
+  domElements.textEditor.hidden = !isText;
+  if (!isText) {
+    return;
+  }
+
+  domElements.textLayerText.value = layer.text;
+  domElements.textLayerFont.value = layer.font;
+  domElements.textLayerSize.value = layer.size;
+  domElements.textLayerColor.value = layer.color;
+}
+
+// Validate a new placement for a layer and apply it
+// A change that would leave the printable area slides along its edge, or
+// stops at the edge, instead
+function setLayerTransform(layer, next) {
+  if (isInPrintableArea(layer, next)) {
+    layer.transform = next;
+  } else {
+    const edge = moveTowards(layer, layer.transform, next);
+    const slides = [
+      { ...next, y: edge.y },
+      { ...next, x: edge.x },
+    ];
+    layer.transform =
+      slides.find((slide) => isInPrintableArea(layer, slide)) || edge;
+  }
+  updateLayer(layer);
+}
+
+// Change a text layer's size, stopping at the largest size that still fits
+function setLayerSize(layer, size) {
+  const step = size > layer.size ? -1 : 1;
+  while (
+    size !== layer.size &&
+    !isInPrintableArea(layer, layer.transform, size)
+  ) {
+    size += step;
+  }
+
+  layer.size = size;
+  updateLayer(layer);
+}
+
+// Furthest placement on the way from a valid one to an invalid one
+function moveTowards(layer, from, to) {
+  let valid = from;
+  let step = 0.5;
+  let progress = 0;
+
+  for (let i = 0; i < 10; i++, step /= 2) {
+    const candidate = interpolateTransform(from, to, progress + step);
+    if (isInPrintableArea(layer, candidate)) {
+      valid = candidate;
+      progress += step;
+    }
+  }
+  return valid;
+}
+
+function interpolateTransform(from, to, amount) {
+  const result = {};
+  for (const key in from) {
+    result[key] = from[key] + (to[key] - from[key]) * amount;
+  }
+  return result;
+}
+
+// Shrink (or recenter) a layer until it fits, e.g. after a new image loads
+// or its text changes
+function fitLayer(layer) {
+  const isText = layer.type === "text";
+  const limits = isText ? TEXT_SIZE_LIMITS : LAYER_SCALE_LIMITS;
+  const placement = { ...layer.transform };
+  let size = isText ? layer.size : placement.scale;
+  const fits = () =>
+    isText
+      ? isInPrintableArea(layer, placement, size)
+      : isInPrintableArea(layer, { ...placement, scale: size });
+
+  while (!fits() && size > limits.min) {
+    size = Math.max(limits.min, size * 0.9);
+    if (isText) {
+      size = Math.floor(size);
+    }
+  }
+  if (!fits()) {
+    Object.assign(
+      placement,
+      isText ? DEFAULT_TEXT_TRANSFORM : DEFAULT_LAYER_TRANSFORM
+    );
+    size = limits.min;
+  }
+
+  if (isText) {
+    layer.size = size;
+  } else {
+    placement.scale = size;
+  }
+  layer.transform = placement;
+  updateLayer(layer);
+}
+
+// Check that every corner of the rotated layer is inside the printable area
+// size is a text layer's font size, if it differs from the current one
+function isInPrintableArea(layer, transform, size = layer.size) {
+  return getLayerCorners(layer, transform, size).every((corner) =>
+    PRINTABLE_AREA.every((point, index) => {
+      const next = PRINTABLE_AREA[(index + 1) % PRINTABLE_AREA.length];
+      // Clockwise polygon: inside points are never left of an edge
+      const cross =
+        (next.x - point.x) * (corner.y - point.y) -
+        (next.y - point.y) * (corner.x - point.x);
+      return cross >= 0;
+    })
+  );
+}
+
+// Corners of a layer in preview fractions, rotation included
+function getLayerCorners(layer, { x, y, scale, rotation }, size) {
+  const previewRatio = getPreviewRatio();
+  const extent = getLayerExtent(layer, scale, size);
+
+  // Work in units of the preview's width so rotation keeps its shape
+  const halfWidth = extent.width / 2;
+  const halfHeight = extent.height / 2;
+  const angle = (rotation * Math.PI) / 180;
+
+  return [
+    [-1, -1],
+    [1, -1],
+    [1, 1],
+    [-1, 1],
+  ].map(([sx, sy]) => {
+    const dx = sx * halfWidth;
+    const dy = sy * halfHeight;
+    return {
+      x: x + dx * Math.cos(angle) - dy * Math.sin(angle),
+      y: y + (dx * Math.sin(angle) + dy * Math.cos(angle)) / previewRatio,
+    };
+  });
+}
+
+// Width and height of a layer in preview widths
+// Text is measured on screen when it can be, and estimated while the
+// preview is hidden
+function getLayerExtent(layer, scale, size) {
+  const element = getLayerElement(layer);
+
+  if (layer.type === "image") {
+    const image = element && element.querySelector("img");
+    const ratio =
+      image && image.naturalWidth
+        ? image.naturalHeight / image.naturalWidth
+        : 1;
+    return { width: scale, height: scale * ratio };
+  }
+
+  const stackWidth = domElements.layerStack.offsetWidth;
+  if (element && stackWidth && element.offsetWidth) {
+    const factor = size / layer.size / stackWidth;
+    return {
+      width: element.offsetWidth * factor,
+      height: element.offsetHeight * factor,
+    };
+  }
+
+  const fontSize = size / TEXT_SIZE_REFERENCE_WIDTH;
+  return { width: 0.6 * fontSize * layer.text.length, height: 1.2 * fontSize };
+}
+
+// Height of the umbrella image relative to its width
+function getPreviewRatio() {
+  const image = domElements.umbrellaImage;
+  return image.naturalWidth ? image.naturalHeight / image.naturalWidth : 1;
+}
+
+// Pointer position in preview fractions
+function getPreviewPoint(event) {
+  const rect = domElements.umbrellaContainer.getBoundingClientRect();
+  return {
+    x: (event.clientX - rect.left) / rect.width,
+    y: (event.clientY - rect.top) / rect.height,
+  };
+}
+
+// Select a layer and start moving, resizing or rotating it
+// The handle pressed picks the gesture; anywhere else on the layer moves it
+function handleLayerPointerDown(event) {
+  const element = event.target.closest(".layer");
+  if (event.button !== 0 || !element) {
+    return;
+  }
+
+  const layer = findLayer(element.dataset.layerId);
+  event.preventDefault();
+  element.focus();
+  selectLayer(layer.id);
+  element.setPointerCapture(event.pointerId);
+
+  layerGesture = {
+    layerId: layer.id,
+    pointerId: event.pointerId,
+    type: event.target.dataset.handle || "move",
+    start: getPreviewPoint(event),
+    transform: { ...layer.transform },
+    size: layer.size,
+  };
+}
+
+function handleLayerPointerMove(event) {
+  if (!layerGesture || event.pointerId !== layerGesture.pointerId) {
+    return;
+  }
+
+  const layer = findLayer(layerGesture.layerId);
+  if (!layer) {
+    return;
+  }
+
+  const { type, start, transform, size } = layerGesture;
+  const point = getPreviewPoint(event);
+
+  if (type === "move") {
+    setLayerTransform(
+      layer,
+      snapLayerPosition({
+        ...transform,
+        x: transform.x + point.x - start.x,
+        y: transform.y + point.y - start.y,
+      })
+    );
+  } else if (type === "resize") {
+    // Scale by how far the handle is from the layer's center
+    const ratio =
+      getDistanceFromLayer(point, transform) /
+      getDistanceFromLayer(start, transform);
+    if (layer.type === "text") {
+      setLayerSize(layer, clampTextSize(size * ratio));
+    } else {
+      setLayerTransform(layer, {
+        ...transform,
+        scale: clampLayerScale(transform.scale * ratio),
+      });
+    }
+  } else {
+    const turned =
+      getAngleFromLayer(point, transform) - getAngleFromLayer(start, transform);
+    const rotation = normalizeRotation(transform.rotation + turned);
+    setLayerTransform(layer, {
+      ...transform,
+      rotation: snapLayerRotation(rotation),
+    });
+  }
+}
+
+function handleLayerPointerUp(event) {
+  if (!layerGesture || event.pointerId !== layerGesture.pointerId) {
+    return;
+  }
+
+  layerGesture = null;
+  domElements.snapGuide.classList.remove("visible");
+}
+
+// Nudge the focused layer from the keyboard
+// Arrow keys move, + and - resize, [ and ] rotate; Shift takes bigger steps
+function handleLayerKeydown(event) {
+  const element = event.target.closest(".layer");
+  const layer = element && findLayer(element.dataset.layerId);
+  if (!layer) {
+    return;
+  }
+
+  const transform = { ...layer.transform };
+  const step = event.shiftKey ? 0.02 : 0.005;
+  const grow = event.key === "+" || event.key === "=" ? 1 : -1;
+
+  switch (event.key) {
+    case "ArrowLeft":
+      transform.x -= step;
+      break;
+    case "ArrowRight":
+      transform.x += step;
+      break;
+    case "ArrowUp":
+      transform.y -= step;
+      break;
+    case "ArrowDown":
+      transform.y += step;
+      break;
+    case "+":
+    case "=":
+    case "-":
+    case "_":
+      event.preventDefault();
+      if (layer.type === "text") {
+        setLayerSize(
+          layer,
+          clampTextSize(layer.size + grow * (event.shiftKey ? 5 : 1))
+        );
+        return;
+      }
+      transform.scale = clampLayerScale(
+        transform.scale * (event.shiftKey ? 1.2 : 1.05) ** grow
+      );
+      break;
+    case "[":
+    case "{":
+      transform.rotation = normalizeRotation(
+        transform.rotation - (event.shiftKey ? 15 : 1)
+      );
+      break;
+    case "]":
+    case "}":
+      transform.rotation = normalizeRotation(
+        transform.rotation + (event.shiftKey ? 15 : 1)
+      );
+      break;
+    default:
+      return;
+  }
+
+  event.preventDefault();
+  setLayerTransform(layer, transform);
+}
+
+// Snap a layer's center to a nearby snap point, showing the guide
+function snapLayerPosition(transform) {
+  const target = LAYER_SNAP_POINTS.find(
+    (point) => getDistanceFromLayer(point, transform) < LAYER_SNAP_DISTANCE
+  );
+
+  domElements.snapGuide.classList.toggle("visible", Boolean(target));
+  if (!target) {
+    return transform;
+  }
+
+  domElements.snapGuide.style.left = `${target.x * 100}%`;
+  domElements.snapGuide.style.top = `${target.y * 100}%`;
+  return { ...transform, x: target.x, y: target.y };
+}
+
+// Snap rotation to the nearest multiple of 45 degrees when close to one
+function snapLayerRotation(rotation) {
+  const nearest =
+    Math.round(rotation / LAYER_ROTATION_SNAP) * LAYER_ROTATION_SNAP;
+  return Math.abs(rotation - nearest) <= LAYER_ROTATION_SNAP_DISTANCE
+    ? normalizeRotation(nearest)
+    : rotation;
+}
+
+// Distance and angle of a point from a layer's center, in preview widths
+function getDistanceFromLayer(point, transform) {
+  return Math.hypot(
+    point.x - transform.x,
+    (point.y - transform.y) * getPreviewRatio()
+  );
+}
+
+function getAngleFromLayer(point, transform) {
+  const radians = Math.atan2(
+    (point.y - transform.y) * getPreviewRatio(),
+    point.x - transform.x
+  );
+  return (radians * 180) / Math.PI;
+}
+
+function clampLayerScale(scale) {
+  return Math.min(
+    LAYER_SCALE_LIMITS.max,
+    Math.max(LAYER_SCALE_LIMITS.min, scale)
+  );
+}
+
+// Whole pixel text sizes within TEXT_SIZE_LIMITS
+function clampTextSize(size) {
+  return Math.min(
+    TEXT_SIZE_LIMITS.max,
+    Math.max(TEXT_SIZE_LIMITS.min, Math.round(size))
+  );
+}
+
+// Keep rotation within -180..180 degrees
+function normalizeRotation(rotation) {
+  return ((((rotation + 180) % 360) + 360) % 360) - 180;
+}
+
 // Show loading state during file upload
 function showLoading(filename) {
   domElements.fileName.textContent = filename.toUpperCase();
   domElements.uploadButton.style.display = "none";
   domElements.fileDisplay.classList.add("visible");
-  domElements.removeButton.style.visibility = "hidden";
 
   domElements.fileDisplay.style.backgroundColor =
     umbrellaConfig[state.currentColor].buttonColor;
 }
 
-// Hide loading state after upload completes
+// Hide loading state after upload completes, ready for another logo
 function hideLoading() {
-  domElements.removeButton.style.visibility = "visible";
+  domElements.uploadButton.style.display = "flex";
+  domElements.fileDisplay.classList.remove("visible");
 }
 
 function showError(message) {
@@ -255,17 +1068,323 @@ function hideError() {
 
 // Update UI based on current state
 function updateUI() {
-  if (state.uploadedLogo) {
-    domElements.uploadButton.style.display = "none";
-    domElements.fileDisplay.classList.add("visible");
-    domElements.logoOverlay.classList.add("visible");
-    // domElements.logoAnnotation.classList.add("hidden");
+  renderLayers();
+  renderLayerPanel();
+  syncTextEditor();
+}
+
+// Download the current design as a PNG or JPEG mockup
+async function handleMockupExport() {
+  const format = domElements.exportFormat.value;
+  const width = Number(domElements.exportSize.value) || null;
+
+  hideError();
+  domElements.exportButton.disabled = true;
+
+  try {
+    const canvas = await renderMockup(
+      umbrellaConfig[state.currentColor].imageSrc,
+      state.layers,
+      width,
+      format
+    );
+    const { extension } = MOCKUP_FORMATS[format];
+    const name = `umbrella-${state.currentColor}-${canvas.width}`;
+
+    downloadBlob(await canvasToBlob(canvas, format), `${name}.${extension}`);
+  } catch (error) {
+    // Browsers refuse to export canvases drawn on pages opened as file://
+    showError(
+      "Could not create the mockup. If the app was opened as a file, " +
+        "serve it from a web server instead."
+    );
+  } finally {
+    domElements.exportButton.disabled = false;
+  }
+}
+
+// Save the current color and layers as a new named design
+// Each image layer's data URL is stored under its own logo key
+async function handleDesignSave(event) {
+  event.preventDefault();
+  hideError();
+
+  const designs = loadDesigns();
+  const id = createDesignId();
+  const images = [];
+  const layers = state.layers.map((layer) => {
+    if (layer.type !== "image") {
+      return { ...layer, transform: { ...layer.transform } };
+    }
+
+    const { src, ...metadata } = layer;
+    const logoKey = `${id}:${layer.id}`;
+    images.push({ logoKey, src });
+    return { ...metadata, transform: { ...layer.transform }, logoKey };
+  });
+  const design = {
+    id,
+    name:
+      domElements.designNameInput.value.trim() ||
+      `Design ${designs.length + 1}`,
+    color: state.currentColor,
+    customColor:
+      state.currentColor === "custom" ? umbrellaConfig.custom.hex : null,
+    layers,
+    createdAt: Date.now(),
+  };
+
+  try {
+    await Promise.all(images.map(({ logoKey, src }) => saveLogo(logoKey, src)));
+    saveDesigns([design, ...designs]);
+  } catch (error) {
+    showError("Could not save this design. Please try again.");
+    deleteDesignLogos(design);
+    return;
+  }
+
+  state.activeDesignId = design.id;
+  domElements.designNameInput.value = "";
+  renderDesignGallery();
+}
+
+// Restore a saved design through the same paths as a manual change
+async function handleDesignLoad(design) {
+  hideError();
+
+  let layers;
+  try {
+    layers = await Promise.all(
+      getDesignLayers(design).map(async (saved) => {
+        const { logoKey, ...layer } = saved;
+        layer.transform = { ...DEFAULT_LAYER_TRANSFORM, ...saved.transform };
+        if (layer.type === "image") {
+          layer.src = await loadLogo(logoKey);
+          if (!layer.src) {
+            throw new Error(`Missing logo ${logoKey}`);
+          }
+        }
+        return layer;
+      })
+    );
+  } catch (error) {
+    showError("This design's logos could not be loaded.");
+    return;
+  }
+
+  state.layers = layers;
+  state.selectedLayerId = null;
+  domElements.fileInput.value = "";
+  updateUI();
+
+  // Switch color last so the layers are hidden while the new umbrella loads
+  const swatch = document.querySelector(
+    `.color-swatch[data-color="${design.color}"]`
+  );
+  const config = umbrellaConfig[design.color];
+  if (design.color === "custom" && customColorOption) {
+    await selectCustomColor(design.customColor);
+  } else if (swatch && config.available) {
+    handleColorChange({ currentTarget: swatch });
   } else {
-    domElements.uploadButton.style.display = "flex";
-    domElements.fileDisplay.classList.remove("visible");
-    domElements.logoOverlay.classList.remove("visible");
-    // domElements.logoAnnotation.classList.remove("hidden");
+    showError("This design's color is no longer available.");
+  }
+
+  state.activeDesignId = design.id;
+  renderDesignGallery();
+}
+
+// Rename a saved design
+function handleDesignRename(design) {
+  const name = prompt("Rename design", design.name);
+  if (name === null || !name.trim()) {
+    return;
+  }
+
+  updateDesigns((designs) =>
+    designs.map((d) => (d.id === design.id ? { ...d, name: name.trim() } : d))
+  );
+}
+
+// Copy a saved design (and its logos) next to the original
+async function handleDesignDuplicate(design) {
+  hideError();
+
+  const id = createDesignId();
+  const copy = {
+    id,
+    name: `${design.name} copy`,
+    color: design.color,
+    customColor: design.customColor || null,
+    layers: getDesignLayers(design).map((layer) =>
+      layer.type === "image"
+        ? { ...layer, logoKey: `${id}:${layer.id}` }
+        : { ...layer }
+    ),
+    createdAt: Date.now(),
+  };
+
+  try {
+    const originals = getDesignLayers(design);
+    await Promise.all(
+      copy.layers.map(async (layer, index) => {
+        if (layer.type === "image") {
+          const dataUrl = await loadLogo(originals[index].logoKey);
+          await saveLogo(layer.logoKey, dataUrl);
+        }
+      })
+    );
+  } catch (error) {
+    showError("Could not duplicate this design. Please try again.");
+    deleteDesignLogos(copy);
+    return;
   }
+
+  updateDesigns((designs) => {
+    const index = designs.findIndex((d) => d.id === design.id);
+    return [...designs.slice(0, index + 1), copy, ...designs.slice(index + 1)];
+  });
+}
+
+// Delete a saved design and its logos
+async function handleDesignDelete(design) {
+  if (!confirm(`Delete "${design.name}"?`)) {
+    return;
+  }
+
+  hideError();
+  await deleteDesignLogos(design);
+
+  if (state.activeDesignId === design.id) {
+    state.activeDesignId = null;
+  }
+  updateDesigns((designs) => designs.filter((d) => d.id !== design.id));
+}
+
+// Remove a design's stored logos, ignoring ones that are already gone
+function deleteDesignLogos(design) {
+  return Promise.all(
+    getDesignLayers(design)
+      .filter((layer) => layer.type === "image")
+      .map((layer) => deleteLogo(layer.logoKey).catch(() => {}))
+  );
+}
+
+// Apply a change to the saved design list and redraw the gallery
+function updateDesigns(change) {
+  try {
+    saveDesigns(change(loadDesigns()));
+  } catch (error) {
+    showError("Could not update saved designs. Please try again.");
+  }
+  renderDesignGallery();
+}
+
+function createDesignId() {
+  const random = Math.random().toString(36).slice(2, 8);
+  return `${Date.now().toString(36)}-${random}`;
+}
+
+// Render the saved designs gallery
+function renderDesignGallery() {
+  const designs = loadDesigns();
+
+  domElements.designGallery.innerHTML = "";
+  domElements.designsEmpty.classList.toggle("hidden", designs.length > 0);
+
+  designs.forEach((design) => {
+    domElements.designGallery.appendChild(createDesignCard(design));
+  });
+  releaseUnusedTints();
+}
+
+// Free tinted images that neither the preview nor a saved design shows
+function releaseUnusedTints() {
+  if (!customColorOption) {
+    return;
+  }
+
+  const hexes = loadDesigns()
+    .filter((design) => design.color === "custom")
+    .map((design) => design.customColor);
+  if (umbrellaConfig.custom) {
+    hexes.push(umbrellaConfig.custom.hex);
+  }
+  releaseTintedImages(customColorOption.baseImageSrc, hexes);
+}
+
+// Build one gallery card: a thumbnail that restores the design, plus actions
+function createDesignCard(design) {
+  const card = document.createElement("div");
+  card.className = "design-card";
+  card.classList.toggle("active", design.id === state.activeDesignId);
+
+  const thumbnail = document.createElement("button");
+  thumbnail.className = "design-thumbnail";
+  thumbnail.setAttribute("aria-label", `Load design ${design.name}`);
+  thumbnail.addEventListener("click", () => handleDesignLoad(design));
+
+  const umbrella = document.createElement("img");
+  umbrella.alt = "";
+  thumbnail.appendChild(umbrella);
+
+  if (design.color === "custom" && customColorOption) {
+    // Custom colors are tinted on demand (and cached) like the preview
+    umbrella.src = customColorOption.baseImageSrc;
+    getTintedUmbrellaImage(customColorOption.baseImageSrc, design.customColor)
+      .then((src) => {
+        umbrella.src = src;
+      })
+      .catch(() => {});
+  } else {
+    umbrella.src = (
+      umbrellaConfig[design.color] || umbrellaConfig[state.currentColor]
+    ).imageSrc;
+  }
+
+  getDesignLayers(design)
+    .filter((layer) => !layer.hidden)
+    .forEach((saved) => {
+      const layer = {
+        ...saved,
+        transform: { ...DEFAULT_LAYER_TRANSFORM, ...saved.transform },
+      };
+      const element = createLayerElement(layer);
+      thumbnail.appendChild(element);
+
+      if (layer.type === "image") {
+        // Logos load from IndexedDB after the card is on screen
+        loadLogo(layer.logoKey)
+          .then((dataUrl) => {
+            if (dataUrl) {
+              element.querySelector("img").src = dataUrl;
+            }
+          })
+          .catch(() => {});
+      }
+    });
+
+  const name = document.createElement("span");
+  name.className = "design-name";
+  name.textContent = design.name;
+  name.title = design.name;
+
+  const actions = document.createElement("div");
+  actions.className = "design-actions";
+  [
+    ["Rename", handleDesignRename],
+    ["Duplicate", handleDesignDuplicate],
+    ["Delete", handleDesignDelete],
+  ].forEach(([label, handler]) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = label;
+    button.addEventListener("click", () => handler(design));
+    actions.appendChild(button);
+  });
+
+  card.append(thumbnail, name, actions);
+  return card;
 }
 
 // Initialize app when DOM is fully loaded
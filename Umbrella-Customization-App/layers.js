@@ -0,0 +1,105 @@
+// Layer model
+// A design is the umbrella plus a stack of layers, bottom layer first:
+//   { id, type: "image", src, fileName, transform, hidden }
+//   { id, type: "text", text, font, size, color, transform, hidden }
+// transform is { x, y, scale, rotation } as described in index.js. Image
+// layers use scale for their width; text layers use size instead, the font
+// size in pixels on a 500px wide preview, so text keeps its proportions at
+// any preview or mockup size.
+
+const TEXT_SIZE_REFERENCE_WIDTH = 500;
+const TEXT_SIZE_LIMITS = { min: 8, max: 120 };
+const DEFAULT_TEXT = "Your text";
+const DEFAULT_TEXT_SIZE = 24;
+
+// [CSS font family, label] pairs offered for text layers
+const LAYER_FONTS = [
+  ["Arial, sans-serif", "Arial"],
+  ["Georgia, serif", "Georgia"],
+  ["'Trebuchet MS', sans-serif", "Trebuchet MS"],
+  ["'Courier New', monospace", "Courier New"],
+  ["Impact, sans-serif", "Impact"],
+  ["'Brush Script MT', cursive", "Brush Script"],
+];
+
+function createLayerId() {
+  const random = Math.random().toString(36).slice(2, 8);
+  return `layer-${Date.now().toString(36)}-${random}`;
+}
+
+function createImageLayer(src, fileName, transform) {
+  return {
+    id: createLayerId(),
+    type: "image",
+    src,
+    fileName,
+    transform: { ...transform },
+    hidden: false,
+  };
+}
+
+function createTextLayer(transform, color) {
+  return {
+    id: createLayerId(),
+    type: "text",
+    text: DEFAULT_TEXT,
+    font: LAYER_FONTS[0][0],
+    size: DEFAULT_TEXT_SIZE,
+    color,
+    transform: { ...transform },
+    hidden: false,
+  };
+}
+
+// Name shown for a layer in the layer panel
+function getLayerLabel(layer) {
+  if (layer.type === "image") {
+    return layer.fileName || "Image";
+  }
+  return layer.text.trim() || "Empty text";
+}
+
+// Build the element that shows a layer over an umbrella image
+// The parent must be a size container (container-type: inline-size) so text
+// scales with it. Image layers get their src from the caller.
+function createLayerElement(layer) {
+  const element = document.createElement("div");
+  element.className = `layer ${layer.type}-layer`;
+  element.dataset.layerId = layer.id;
+
+  if (layer.type === "image") {
+    const image = document.createElement("img");
+    image.alt = "";
+    image.draggable = false;
+    element.appendChild(image);
+  } else {
+    const text = document.createElement("span");
+    text.className = "layer-text";
+    element.appendChild(text);
+  }
+
+  updateLayerElement(element, layer);
+  return element;
+}
+
+// Apply a layer's placement and text styling to its element
+function updateLayerElement(element, layer) {
+  const { x, y, scale, rotation } = layer.transform;
+
+  element.style.left = `${(x * 100).toFixed(2)}%`;
+  element.style.top = `${(y * 100).toFixed(2)}%`;
+  element.style.setProperty("--layer-rotation", `${rotation.toFixed(1)}deg`);
+
+  if (layer.type === "image") {
+    element.style.width = `${(scale * 100).toFixed(2)}%`;
+    return;
+  }
+
+  const text = element.querySelector(".layer-text");
+  text.textContent = layer.text;
+  text.style.fontFamily = layer.font;
+  text.style.color = layer.color;
+  // 1cqw is a hundredth of the preview's width
+  const fontSize = (layer.size / TEXT_SIZE_REFERENCE_WIDTH) * 100;
+  text.style.fontSize = `${fontSize.toFixed(2)}cqw`;
+}
@@ -0,0 +1,99 @@
+// Persistence for saved designs
+// Design metadata ({ id, name, color, customColor, layers, createdAt }) is
+// kept in localStorage so the gallery renders straight away. Layers are
+// stored as in state (see layers.js), except that image layers keep a
+// logoKey in place of their src. Logo data URLs can be several megabytes,
+// which would quickly fill localStorage's quota, so they live in IndexedDB
+// under those keys.
+
+const DESIGNS_STORAGE_KEY = "umbrellaDesigns";
+const LOGO_DB_NAME = "umbrella-customizer";
+const LOGO_STORE_NAME = "logos";
+
+let logoDatabase = null;
+
+// Read saved design metadata, newest first
+function loadDesigns() {
+  try {
+    const designs = JSON.parse(localStorage.getItem(DESIGNS_STORAGE_KEY));
+    return Array.isArray(designs) ? designs : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Write saved design metadata
+// Throws if localStorage is unavailable or full
+function saveDesigns(designs) {
+  localStorage.setItem(DESIGNS_STORAGE_KEY, JSON.stringify(designs));
+}
+
+// Open (and create on first use) the logo database
+function openLogoDatabase() {
+  if (logoDatabase) {
+    return Promise.resolve(logoDatabase);
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(LOGO_DB_NAME, 1);
+
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(LOGO_STORE_NAME);
+    };
+    request.onsuccess = () => {
+      logoDatabase = request.result;
+      resolve(logoDatabase);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run one request against the logo store and resolve with its result
+async function runLogoRequest(mode, createRequest) {
+  const database = await openLogoDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(LOGO_STORE_NAME, mode);
+    const request = createRequest(transaction.objectStore(LOGO_STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function saveLogo(logoKey, dataUrl) {
+  return runLogoRequest("readwrite", (store) => store.put(dataUrl, logoKey));
+}
+
+// Read a logo data URL, or undefined if there is none under the key
+function loadLogo(logoKey) {
+  return runLogoRequest("readonly", (store) => store.get(logoKey));
+}
+
+function deleteLogo(logoKey) {
+  return runLogoRequest("readwrite", (store) => store.delete(logoKey));
+}
+
+// Saved layers of a design
+// Designs saved before layers existed had at most one logo ({ fileName,
+// hasLogo, logoTransform }), stored under the design id
+function getDesignLayers(design) {
+  if (Array.isArray(design.layers)) {
+    return design.layers;
+  }
+  if (!design.hasLogo) {
+    return [];
+  }
+
+  return [
+    {
+      id: `${design.id}-logo`,
+      type: "image",
+      fileName: design.fileName,
+      logoKey: design.id,
+      transform: { ...design.logoTransform },
+      hidden: false,
+    },
+  ];
+}